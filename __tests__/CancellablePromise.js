@@ -1,4 +1,5 @@
 import CancellablePromise from '../src/CancellablePromise';
+import TestScheduler from '../src/TestScheduler';
 import sinon from 'sinon';
 import { async, nullFunction } from 'metal';
 
@@ -317,6 +318,1388 @@ describe('CancellablePromise', function() {
 		});
 	});
 
+	describe('onCancel', function() {
+		test('promise should call cancel handlers once when canceled', function(done) {
+			const handler = sinon.stub();
+			let cancelError;
+
+			const promise = new CancellablePromise(function(resolve, reject, onCancel) {
+				onCancel(handler);
+			});
+
+			promise.catch(function(error) {
+				cancelError = error;
+			});
+			promise.cancel('cancel message');
+			promise.cancel().then(function() {
+				expect(handler.callCount).toBe(1);
+				expect(handler.getCall(0).args[0]).toBe(cancelError);
+				expect(cancelError.message).toBe('cancel message');
+				done();
+			});
+		});
+
+		test('promise should not call cancel handlers when settled', function(done) {
+			const handler = sinon.stub();
+
+			const promise = new CancellablePromise(function(resolve, reject, onCancel) {
+				onCancel(handler);
+				resolve('value');
+			});
+
+			promise.cancel().then(function() {
+				expect(handler.callCount).toBe(0);
+				done();
+			});
+		});
+
+		test('promise should call cancel handlers of parent when cancellation propagates', function(done) {
+			const parentHandler = sinon.stub();
+			const childHandler = sinon.stub();
+
+			const parent = new CancellablePromise(function(resolve, reject, onCancel) {
+				onCancel(parentHandler);
+			});
+			const child = parent.then().onCancel(childHandler);
+
+			child.cancel().then(function() {
+				expect(childHandler.callCount).toBe(1);
+				expect(parentHandler.callCount).toBe(1);
+				done();
+			});
+		});
+
+		test('promise should call cancel handlers when canceled by parent', function(done) {
+			const handler = sinon.stub();
+			const parent = new CancellablePromise(nullFunction);
+
+			parent.then().onCancel(handler).catch(function(error) {
+				expect(handler.callCount).toBe(1);
+				expect(handler.getCall(0).args[0]).toBe(error);
+				done();
+			});
+			parent.then();
+
+			parent.cancel();
+		});
+
+		test('cancel should wait for asynchronous cleanup', function(done) {
+			let cleanedUp = false;
+
+			const promise = new CancellablePromise(function(resolve, reject, onCancel) {
+				onCancel(function() {
+					return createPromise().then(function() {
+						cleanedUp = true;
+					});
+				});
+			});
+
+			promise.cancel().then(function() {
+				expect(cleanedUp).toBe(true);
+				done();
+			});
+		});
+
+		test('cancel should reject if cleanup fails', function(done) {
+			const promise = new CancellablePromise(function(resolve, reject, onCancel) {
+				onCancel(function() {
+					fail('cleanup error');
+				});
+			});
+
+			promise.cancel().catch(function(error) {
+				expect(error.message).toBe('cleanup error');
+				expect(unhandledRejectionHandler.callCount).toBe(0);
+				done();
+			});
+		});
+
+		test('cancel should wait for asynchronous cleanup of descendants', function(done) {
+			let cleanedUp = false;
+			const parent = new CancellablePromise(nullFunction);
+
+			parent.then().then().onCancel(function() {
+				return createPromise().then(function() {
+					cleanedUp = true;
+				});
+			}).thenCatch(nullFunction);
+			parent.then();
+
+			parent.cancel().then(function() {
+				expect(cleanedUp).toBe(true);
+				done();
+			});
+		});
+
+		test('cancel should reject if cleanup of descendants fails', function(done) {
+			const parent = new CancellablePromise(nullFunction);
+
+			parent.then().onCancel(function() {
+				fail('cleanup error');
+			}).thenCatch(nullFunction);
+			parent.then();
+
+			parent.cancel().catch(function(error) {
+				expect(error.message).toBe('cleanup error');
+				setTimeout(function() {
+					expect(unhandledRejectionHandler.callCount).toBe(0);
+					done();
+				}, 10);
+			});
+		});
+
+		test('cancel should not report failed cleanup as unhandled if ignored', function(done) {
+			const promise = new CancellablePromise(function(resolve, reject, onCancel) {
+				onCancel(function() {
+					fail('cleanup error');
+				});
+			});
+
+			promise.cancel();
+			setTimeout(function() {
+				expect(unhandledRejectionHandler.callCount).toBe(0);
+				done();
+			}, 10);
+		});
+
+		test('cancel handler should be called right away if promise was already canceled', function(done) {
+			const handler = sinon.stub();
+			const promise = new CancellablePromise(nullFunction);
+
+			promise.cancel().then(function() {
+				promise.onCancel(handler);
+				expect(handler.callCount).toBe(1);
+				done();
+			});
+		});
+	});
+
+	describe('cancel policy', function() {
+		test('promise should use last child policy by default', function() {
+			const promise = new CancellablePromise(nullFunction);
+
+			expect(promise.getCancelPolicy()).toBe(CancellablePromise.CancelPolicy.LAST_CHILD);
+			expect(promise.then().getCancelPolicy()).toBe(CancellablePromise.CancelPolicy.LAST_CHILD);
+		});
+
+		test('child promises should inherit cancel policy', function() {
+			const promise = new CancellablePromise(nullFunction)
+				.setCancelPolicy(CancellablePromise.CancelPolicy.NEVER);
+
+			expect(promise.then().then().getCancelPolicy()).toBe(CancellablePromise.CancelPolicy.NEVER);
+		});
+
+		test('promise with never policy should not be canceled by its last child', function(done) {
+			const parentHandler = sinon.stub();
+			const parent = new CancellablePromise(function(resolve, reject, onCancel) {
+				onCancel(parentHandler);
+			}).setCancelPolicy(CancellablePromise.CancelPolicy.NEVER);
+			const child = parent.then();
+
+			child.catch(function(error) {
+				expect(error.IS_CANCELLATION_ERROR).toBe(true);
+				expect(parentHandler.callCount).toBe(0);
+				done();
+			});
+			child.cancel();
+		});
+
+		test('promise with subtree policy should cancel its descendants', function(done) {
+			const childHandler = sinon.stub();
+			const grandchildHandler = sinon.stub();
+			const onRejected = sinon.stub();
+			const parent = new CancellablePromise(nullFunction)
+				.setCancelPolicy(CancellablePromise.CancelPolicy.SUBTREE);
+
+			const child = parent.then(null, onRejected).onCancel(childHandler);
+			const grandchild = child.then().onCancel(grandchildHandler);
+
+			parent.cancel().then(function() {
+				expect(childHandler.callCount).toBe(1);
+				expect(grandchildHandler.callCount).toBe(1);
+				return grandchild.catch(function(error) {
+					expect(error.IS_CANCELLATION_ERROR).toBe(true);
+					expect(onRejected.callCount).toBe(0);
+					done();
+				});
+			});
+		});
+
+		test('promise with subtree policy should still invoke thenAlways callbacks', function(done) {
+			const parent = new CancellablePromise(nullFunction)
+				.setCancelPolicy(CancellablePromise.CancelPolicy.SUBTREE);
+
+			parent.then();
+			parent.thenAlways(function() {
+				done();
+			});
+			parent.cancel();
+		});
+
+		test('combinators should cancel inputs they are the only consumer of', function(done) {
+			const input1 = new CancellablePromise(nullFunction);
+			const input2 = new CancellablePromise(nullFunction);
+			input2.then();
+
+			CancellablePromise.all([input1, input2]).cancel().then(function() {
+				expect(input1.state_).toBe(CancellablePromise.State_.REJECTED);
+				expect(input2.state_).toBe(CancellablePromise.State_.PENDING);
+				done();
+			});
+		});
+
+		test('combinators with subtree policy should cancel all inputs', function(done) {
+			const input1 = new CancellablePromise(nullFunction);
+			const input2 = new CancellablePromise(nullFunction);
+			input2.then();
+
+			CancellablePromise.race([input1, input2])
+				.setCancelPolicy(CancellablePromise.CancelPolicy.SUBTREE)
+				.cancel()
+				.then(function() {
+					expect(input1.state_).toBe(CancellablePromise.State_.REJECTED);
+					expect(input2.state_).toBe(CancellablePromise.State_.REJECTED);
+					done();
+				});
+		});
+
+		test('combinators with never policy should not cancel inputs', function(done) {
+			const input = new CancellablePromise(nullFunction);
+
+			CancellablePromise.firstFulfilled([input])
+				.setCancelPolicy(CancellablePromise.CancelPolicy.NEVER)
+				.cancel()
+				.then(function() {
+					expect(input.state_).toBe(CancellablePromise.State_.PENDING);
+					done();
+				});
+		});
+	});
+
+	describe('any', function() {
+		test('promise.any should resolve to first fulfilled promise', function(done) {
+			const array = [
+				createPromise('a', 40),
+				createRejectedPromise('rejected-b', 10),
+				createPromise('c', 20)
+			];
+
+			CancellablePromise.any(array).then(function(value) {
+				expect(value).toBe('c');
+				done();
+			});
+		});
+
+		test('promise.any should reject with aggregate error when all promises are rejected', function(done) {
+			const array = [
+				createRejectedPromise('rejected-a', 20),
+				createRejectedPromise('rejected-b', 10)
+			];
+
+			CancellablePromise.any(array).catch(function(error) {
+				expect(error.name).toBe('AggregateError');
+				expect(error.errors).toEqual(['rejected-a', 'rejected-b']);
+				expect(unhandledRejectionHandler.callCount).toBe(0);
+				done();
+			});
+		});
+
+		test('promise.any should reject with aggregate error on empty iterable', function(done) {
+			CancellablePromise.any([]).catch(function(error) {
+				expect(error.name).toBe('AggregateError');
+				expect(error.errors).toEqual([]);
+				done();
+			});
+		});
+
+		test('promise.any should accept any iterable', function(done) {
+			CancellablePromise.any(new Set([createRejectedPromise('rejected-a'), 'b'])).then(function(value) {
+				expect(value).toBe('b');
+				done();
+			});
+		});
+
+		test('promise.any should reject if input is not iterable', function(done) {
+			CancellablePromise.any(1).catch(function(error) {
+				expect(error).toBeInstanceOf(TypeError);
+				done();
+			});
+		});
+
+		test('promise.any should cancel remaining inputs once one fulfills', function(done) {
+			const remaining = new CancellablePromise(nullFunction);
+
+			CancellablePromise.any([remaining, createPromise('a')]).then(function(value) {
+				expect(value).toBe('a');
+				return remaining.catch(function(error) {
+					expect(error.IS_CANCELLATION_ERROR).toBe(true);
+					done();
+				});
+			});
+		});
+	});
+
+	describe('cancelRemaining', function() {
+		test('promise.race should cancel losing inputs once settled', function(done) {
+			const loser = new CancellablePromise(nullFunction);
+
+			CancellablePromise.race([createPromise('a'), loser], {cancelRemaining: true}).then(function(value) {
+				expect(value).toBe('a');
+				return loser.catch(function(error) {
+					expect(error.IS_CANCELLATION_ERROR).toBe(true);
+					done();
+				});
+			});
+		});
+
+		test('promise.all should cancel remaining inputs once rejected', function(done) {
+			const remaining = new CancellablePromise(nullFunction);
+
+			CancellablePromise.all([createRejectedPromise('error'), remaining], {cancelRemaining: true}).catch(function(error) {
+				expect(error).toBe('error');
+				return remaining.catch(function(error) {
+					expect(error.IS_CANCELLATION_ERROR).toBe(true);
+					done();
+				});
+			});
+		});
+
+		test('promise.firstFulfilled should cancel remaining inputs once fulfilled', function(done) {
+			const remaining = new CancellablePromise(nullFunction);
+
+			CancellablePromise.firstFulfilled([remaining, createPromise('b')], {cancelRemaining: true}).then(function(value) {
+				expect(value).toBe('b');
+				return remaining.catch(function(error) {
+					expect(error.IS_CANCELLATION_ERROR).toBe(true);
+					done();
+				});
+			});
+		});
+
+		test('combinators should not cancel remaining inputs by default', function(done) {
+			const remaining = new CancellablePromise(nullFunction);
+
+			CancellablePromise.race([createPromise('a'), remaining]).then(function() {
+				return CancellablePromise.resolve().then(function() {
+					expect(remaining.state_).toBe(CancellablePromise.State_.PENDING);
+					done();
+				});
+			});
+		});
+
+		test('canceling combined promise should cancel every pending input', function(done) {
+			const handler = sinon.stub();
+			const input1 = new CancellablePromise(function(resolve, reject, onCancel) {
+				onCancel(handler);
+			});
+			const input2 = new CancellablePromise(nullFunction);
+			input2.then();
+
+			CancellablePromise.all([input1, input2], {cancelRemaining: true}).cancel().then(function() {
+				expect(handler.callCount).toBe(1);
+				expect(input1.state_).toBe(CancellablePromise.State_.REJECTED);
+				expect(input2.state_).toBe(CancellablePromise.State_.REJECTED);
+				done();
+			});
+		});
+	});
+
+	describe('signal', function() {
+		let originalAbortController;
+
+		beforeAll(function() {
+			originalAbortController = global.AbortController;
+			global.AbortController = FakeAbortController;
+		});
+
+		afterAll(function() {
+			global.AbortController = originalAbortController;
+		});
+
+		test('promise should be canceled when signal is aborted', function(done) {
+			const controller = new FakeAbortController();
+
+			CancellablePromise.fromSignal(nullFunction, controller.signal).catch(function(error) {
+				expect(error.IS_CANCELLATION_ERROR).toBe(true);
+				expect(error.message).toBe('aborted');
+				expect(controller.signal.listeners.length).toBe(0);
+				done();
+			});
+
+			controller.abort(new Error('aborted'));
+		});
+
+		test('promise should be canceled when created from an aborted signal', function(done) {
+			const controller = new FakeAbortController();
+			controller.abort('aborted');
+
+			CancellablePromise.fromSignal(nullFunction, controller.signal).catch(function(error) {
+				expect(error.IS_CANCELLATION_ERROR).toBe(true);
+				expect(error.message).toBe('aborted');
+				done();
+			});
+		});
+
+		test('promise should remove abort listener once settled', function(done) {
+			const controller = new FakeAbortController();
+
+			CancellablePromise.fromSignal(function(resolve) {
+				resolve('value');
+			}, controller.signal).then(function(value) {
+				expect(value).toBe('value');
+				expect(controller.signal.listeners.length).toBe(0);
+				done();
+			});
+		});
+
+		test('signal should abort when promise is canceled', function(done) {
+			const promise = new CancellablePromise(nullFunction);
+			const signal = promise.signal;
+
+			expect(signal.aborted).toBe(false);
+			signal.addEventListener('abort', function() {
+				expect(signal.reason.IS_CANCELLATION_ERROR).toBe(true);
+				expect(signal.reason.message).toBe('cancel message');
+				done();
+			});
+
+			promise.cancel('cancel message');
+		});
+
+		test('signal should abort when parent promise is canceled', function(done) {
+			const promise = new CancellablePromise(nullFunction);
+			const child = promise.then();
+			promise.then();
+			const signal = child.signal;
+
+			signal.addEventListener('abort', function() {
+				expect(signal.reason.IS_CANCELLATION_ERROR).toBe(true);
+				done();
+			});
+
+			promise.cancel();
+		});
+
+		test('signal should be aborted if promise was already canceled', function(done) {
+			const promise = new CancellablePromise(nullFunction);
+
+			promise.catch(function() {
+				expect(promise.signal.aborted).toBe(true);
+				done();
+			});
+			promise.cancel();
+		});
+	});
+
+	describe('timeout', function() {
+		test('promise.timeout should settle like the promise if in time', function(done) {
+			createPromise('value', 5).timeout(50).then(function(value) {
+				expect(value).toBe('value');
+				done();
+			});
+		});
+
+		test('promise.timeout should reject with timeout error once the time runs out', function(done) {
+			const promise = new CancellablePromise(nullFunction);
+
+			promise.timeout(5, 'too slow').catch(function(error) {
+				expect(error.IS_TIMEOUT_ERROR).toBe(true);
+				expect(error.IS_CANCELLATION_ERROR).toBeUndefined();
+				expect(error.name).toBe('timeout');
+				expect(error.message).toBe('too slow');
+				done();
+			});
+		});
+
+		test('promise.timeout should cancel the promise once the time runs out', function(done) {
+			const onCancel = sinon.stub();
+			const promise = new CancellablePromise(function(resolve, reject, onCancel) {
+				onCancel(handler);
+			});
+			function handler(error) {
+				onCancel(error);
+			}
+
+			promise.timeout(5).catch(function(error) {
+				expect(onCancel.callCount).toBe(1);
+				expect(onCancel.args[0][0]).toBe(error);
+				expect(promise.state_).toBe(CancellablePromise.State_.REJECTED);
+				done();
+			});
+		});
+
+		test('promise.timeout should not cancel the promise if it has other children', function(done) {
+			const promise = createPromise('value', 20);
+			promise.then(nullFunction);
+
+			promise.timeout(5).catch(function(error) {
+				expect(error.IS_TIMEOUT_ERROR).toBe(true);
+				promise.then(function(value) {
+					expect(value).toBe('value');
+					done();
+				});
+			});
+		});
+
+		test('promise.timeout should clear the timer once settled', function() {
+			const scheduler = new TestScheduler().install();
+			let resolve;
+			const promise = new CancellablePromise(function(res) {
+				resolve = res;
+			}).timeout(50);
+			expect(scheduler.getPendingCount()).toBe(1);
+
+			resolve('value');
+			scheduler.flush();
+			scheduler.uninstall();
+			expect(promise.state_).toBe(CancellablePromise.State_.FULFILLED);
+			expect(scheduler.getPendingCount()).toBe(0);
+		});
+
+		test('canceling promise.timeout should reject with cancellation error', function(done) {
+			const promise = new CancellablePromise(nullFunction).timeout(50);
+
+			promise.catch(function(error) {
+				expect(error.IS_CANCELLATION_ERROR).toBe(true);
+				expect(error.IS_TIMEOUT_ERROR).toBeUndefined();
+				done();
+			});
+			promise.cancel();
+		});
+
+		test('promise.withDeadline should reject once the deadline has passed', function(done) {
+			const promise = new CancellablePromise(nullFunction);
+
+			CancellablePromise.withDeadline(promise, new Date(Date.now() + 5)).catch(function(error) {
+				expect(error.IS_TIMEOUT_ERROR).toBe(true);
+				expect(promise.state_).toBe(CancellablePromise.State_.REJECTED);
+				done();
+			});
+		});
+
+		test('promise.withDeadline should resolve if in time', function(done) {
+			CancellablePromise.withDeadline(createPromise('value', 5), Date.now() + 50).then(function(value) {
+				expect(value).toBe('value');
+				done();
+			});
+		});
+	});
+
+	describe('delay', function() {
+		test('promise.delay should fulfill with the value after the delay', function(done) {
+			const start = Date.now();
+
+			CancellablePromise.delay(20, 'value').then(function(value) {
+				expect(value).toBe('value');
+				expect(Date.now() - start).toBeGreaterThanOrEqual(15);
+				done();
+			});
+		});
+
+		test('canceling promise.delay should clear the timer', function(done) {
+			const clearTimeoutSpy = sinon.spy(global, 'clearTimeout');
+			const promise = CancellablePromise.delay(1000);
+
+			promise.cancel().then(function() {
+				expect(clearTimeoutSpy.callCount).toBe(1);
+				clearTimeoutSpy.restore();
+				expect(promise.state_).toBe(CancellablePromise.State_.REJECTED);
+				done();
+			});
+		});
+
+		test('promise.delay should wait after the promise is fulfilled', function(done) {
+			const start = Date.now();
+
+			createPromise('value', 5).delay(20).then(function(value) {
+				expect(value).toBe('value');
+				expect(Date.now() - start).toBeGreaterThanOrEqual(20);
+				done();
+			});
+		});
+
+		test('promise.delay should pass rejections on right away', function(done) {
+			const start = Date.now();
+
+			createRejectedPromise('error', 5).delay(1000).catch(function(error) {
+				expect(error).toBe('error');
+				expect(Date.now() - start).toBeLessThan(1000);
+				done();
+			});
+		});
+
+		test('canceling promise.delay while waiting should clear the timer', function(done) {
+			const promise = CancellablePromise.resolve('value').delay(1000);
+			const clearTimeoutSpy = sinon.spy(global, 'clearTimeout');
+
+			setTimeout(function() {
+				promise.cancel().then(function() {
+					expect(clearTimeoutSpy.callCount).toBe(1);
+					clearTimeoutSpy.restore();
+					return promise.catch(function(error) {
+						expect(error.IS_CANCELLATION_ERROR).toBe(true);
+						done();
+					});
+				});
+			}, 5);
+		});
+
+		test('canceling promise.delay before the promise is fulfilled should cancel the promise', function(done) {
+			const parent = new CancellablePromise(nullFunction);
+
+			parent.delay(10).cancel().then(function() {
+				expect(parent.state_).toBe(CancellablePromise.State_.REJECTED);
+				done();
+			});
+		});
+	});
+
+	describe('retry', function() {
+		test('promise.retry should resolve with the first fulfilled attempt', function(done) {
+			const factory = sinon.spy(function(attempt) {
+				return attempt < 3 ? createRejectedPromise('error-' + attempt, 1) : createPromise('value', 1);
+			});
+
+			CancellablePromise.retry(factory, {attempts: 5}).then(function(value) {
+				expect(value).toBe('value');
+				expect(factory.args).toEqual([[1], [2], [3]]);
+				done();
+			});
+		});
+
+		test('promise.retry should reject if the attempts are not a positive integer', function(done) {
+			const results = [0, -1, 1.5, NaN, Infinity, '2'].map(function(attempts) {
+				return CancellablePromise.retry(fail, {attempts}).then(fail, function(error) {
+					return error;
+				});
+			});
+
+			CancellablePromise.all(results).then(function(errors) {
+				errors.forEach(function(error) {
+					expect(error).toBeInstanceOf(TypeError);
+					expect(error.message).toContain('The attempts should be a positive integer');
+				});
+				done();
+			});
+		});
+
+		test('promise.retry should reject with every attempt error', function(done) {
+			const factory = sinon.spy(function(attempt) {
+				if (attempt == 2) {
+					throw 'error-2';
+				}
+				return createRejectedPromise('error-' + attempt, 1);
+			});
+
+			CancellablePromise.retry(factory).catch(function(error) {
+				expect(error.name).toBe('AggregateError');
+				expect(error.errors).toEqual(['error-1', 'error-2', 'error-3']);
+				expect(factory.callCount).toBe(3);
+				done();
+			});
+		});
+
+		test('promise.retry should stop once shouldRetry returns false', function(done) {
+			const shouldRetry = sinon.spy(function(error) {
+				return error != 'fatal';
+			});
+			const errors = ['temporary', 'fatal', 'temporary'];
+
+			CancellablePromise.retry(function(attempt) {
+				return CancellablePromise.reject(errors[attempt - 1]);
+			}, {shouldRetry: shouldRetry}).catch(function(error) {
+				expect(error.errors).toEqual(['temporary', 'fatal']);
+				expect(shouldRetry.args).toEqual([['temporary', 1], ['fatal', 2]]);
+				done();
+			});
+		});
+
+		test('promise.retry should wait between attempts', function(done) {
+			const times = [];
+
+			CancellablePromise.retry(function() {
+				times.push(Date.now());
+				return CancellablePromise.reject('error');
+			}, {delay: 10, backoff: CancellablePromise.Backoff.EXPONENTIAL}).catch(function() {
+				expect(times[1] - times[0]).toBeGreaterThanOrEqual(9);
+				expect(times[2] - times[1]).toBeGreaterThanOrEqual(19);
+				done();
+			});
+		});
+
+		test('promise.retry should compute the backoff delays', function() {
+			const random = sinon.stub(Math, 'random').returns(0.5);
+			const delay = CancellablePromise.getRetryDelay_;
+
+			expect(delay({delay: 10}, 3)).toBe(10);
+			expect(delay({delay: 10, backoff: 'exponential'}, 3)).toBe(40);
+			expect(delay({delay: 10, backoff: 'exponential', factor: 3}, 3)).toBe(90);
+			expect(delay({delay: 10, backoff: 'exponential', maxDelay: 25}, 3)).toBe(25);
+			expect(delay({delay: 10, backoff: 'jitter'}, 3)).toBe(20);
+			random.restore();
+		});
+
+		test('promise.retry should never retry cancellation errors', function(done) {
+			const factory = sinon.spy(function() {
+				const promise = new CancellablePromise(nullFunction);
+				promise.cancel('canceled attempt');
+				return promise;
+			});
+
+			CancellablePromise.retry(factory).catch(function(error) {
+				expect(error.IS_CANCELLATION_ERROR).toBe(true);
+				expect(error.message).toBe('canceled attempt');
+				expect(factory.callCount).toBe(1);
+				done();
+			});
+		});
+
+		test('promise.retry should reject with timeout error once the deadline has passed', function(done) {
+			const attempt = new CancellablePromise(nullFunction);
+
+			CancellablePromise.retry(function() {
+				return attempt;
+			}, {deadline: Date.now() + 10}).catch(function(error) {
+				expect(error.errors.length).toBe(1);
+				expect(error.errors[0].IS_TIMEOUT_ERROR).toBe(true);
+				expect(attempt.state_).toBe(CancellablePromise.State_.REJECTED);
+				done();
+			});
+		});
+
+		test('canceling promise.retry should cancel the attempt in flight', function(done) {
+			const attempt = new CancellablePromise(nullFunction);
+			const promise = CancellablePromise.retry(function() {
+				return attempt;
+			});
+
+			promise.cancel().then(function() {
+				expect(attempt.state_).toBe(CancellablePromise.State_.REJECTED);
+				done();
+			});
+		});
+
+		test('canceling promise.retry should stop waiting for the next attempt', function(done) {
+			const factory = sinon.spy(function() {
+				return CancellablePromise.reject('error');
+			});
+			const promise = CancellablePromise.retry(factory, {delay: 20});
+
+			setTimeout(function() {
+				promise.cancel().then(function() {
+					setTimeout(function() {
+						expect(factory.callCount).toBe(1);
+						done();
+					}, 30);
+				});
+			}, 5);
+		});
+	});
+
+	describe('rejection tracker', function() {
+		let removers;
+
+		beforeEach(function() {
+			removers = [];
+			CancellablePromise.setTrackUnhandledRejections(true);
+		});
+
+		afterEach(function() {
+			removers.forEach(remove => remove());
+			CancellablePromise.setTrackUnhandledRejections(false);
+		});
+
+		function isTracked(promise) {
+			return CancellablePromise.getUnhandledRejections().some(function(rejection) {
+				return rejection.promise === promise;
+			});
+		}
+
+		test('promise should emit unhandled rejections', function(done) {
+			const listener = sinon.stub();
+			removers.push(CancellablePromise.addRejectionListener('unhandled', listener));
+
+			const promise = CancellablePromise.reject('reason');
+
+			setTimeout(function() {
+				expect(listener.args).toEqual([[promise, 'reason']]);
+				expect(unhandledRejectionHandler.args).toEqual([['reason']]);
+				expect(isTracked(promise)).toBe(true);
+				done();
+			}, 10);
+		});
+
+		test('promise should emit rejections handled after being reported', function(done) {
+			const listener = sinon.stub();
+			removers.push(CancellablePromise.addRejectionListener(
+				CancellablePromise.RejectionEventType.HANDLED_LATER, listener));
+
+			const promise = CancellablePromise.reject('reason');
+
+			setTimeout(function() {
+				expect(listener.callCount).toBe(0);
+
+				promise.catch(function() {
+					expect(listener.args).toEqual([[promise, 'reason']]);
+					expect(isTracked(promise)).toBe(false);
+					done();
+				});
+			}, 10);
+		});
+
+		test('promise should not emit rejections handled in time', function(done) {
+			const unhandled = sinon.stub();
+			const handledLater = sinon.stub();
+			removers.push(CancellablePromise.addRejectionListener('unhandled', unhandled));
+			removers.push(CancellablePromise.addRejectionListener('handled-later', handledLater));
+
+			const promise = CancellablePromise.reject('reason');
+			promise.catch(nullFunction);
+
+			setTimeout(function() {
+				expect(unhandled.callCount).toBe(0);
+				expect(handledLater.callCount).toBe(0);
+				expect(isTracked(promise)).toBe(false);
+				done();
+			}, 10);
+		});
+
+		test('promise should emit handled-later for the reported parent', function(done) {
+			const listener = sinon.stub();
+			removers.push(CancellablePromise.addRejectionListener('handled-later', listener));
+
+			const promise = CancellablePromise.reject('reason');
+
+			setTimeout(function() {
+				const child = promise.then(nullFunction);
+
+				setTimeout(function() {
+					expect(listener.args).toEqual([[promise, 'reason']]);
+					expect(isTracked(promise)).toBe(false);
+					expect(isTracked(child)).toBe(true);
+
+					child.catch(function() {
+						expect(listener.args[1]).toEqual([child, 'reason']);
+						done();
+					});
+				}, 10);
+			}, 10);
+		});
+
+		test('promise should only keep unhandled rejections while tracking them', function(done) {
+			CancellablePromise.setTrackUnhandledRejections(false);
+			const promise = CancellablePromise.reject('reason');
+
+			setTimeout(function() {
+				expect(unhandledRejectionHandler.callCount).toBe(1);
+				expect(CancellablePromise.getUnhandledRejections()).toEqual([]);
+
+				CancellablePromise.setTrackUnhandledRejections(true);
+				const other = CancellablePromise.reject('other');
+
+				setTimeout(function() {
+					expect(isTracked(promise)).toBe(false);
+					expect(isTracked(other)).toBe(true);
+
+					CancellablePromise.setTrackUnhandledRejections(false);
+					expect(CancellablePromise.getUnhandledRejections()).toEqual([]);
+					done();
+				}, 10);
+			}, 10);
+		});
+
+		test('promise should stop calling removed rejection listeners', function(done) {
+			const listener = sinon.stub();
+			CancellablePromise.addRejectionListener('unhandled', listener)();
+
+			CancellablePromise.reject('reason');
+
+			setTimeout(function() {
+				expect(listener.callCount).toBe(0);
+				done();
+			}, 10);
+		});
+
+		test('promise should rethrow errors of rejection listeners asynchronously', function(done) {
+			const stub = sinon.stub(async, 'throwException');
+			const error = new Error('listener');
+			const listener = sinon.stub();
+			removers.push(CancellablePromise.addRejectionListener('unhandled', function() {
+				throw error;
+			}));
+			removers.push(CancellablePromise.addRejectionListener('unhandled', listener));
+
+			CancellablePromise.reject('reason');
+
+			setTimeout(function() {
+				stub.restore();
+				expect(stub.args).toEqual([[error]]);
+				expect(listener.callCount).toBe(1);
+				expect(unhandledRejectionHandler.callCount).toBe(1);
+				done();
+			}, 10);
+		});
+
+		test('promise should throw when adding a listener of an unknown type', function() {
+			expect(function() {
+				CancellablePromise.addRejectionListener('unknown', nullFunction);
+			}).toThrow(TypeError);
+		});
+	});
+
+	describe('scoped rejection handlers', function() {
+		test('promise should report unhandled rejections to its own handler', function(done) {
+			const handler = sinon.stub();
+			const promise = CancellablePromise.reject('reason').onUnhandledRejection(handler);
+
+			setTimeout(function() {
+				expect(promise.onUnhandledRejection(handler)).toBe(promise);
+				expect(handler.args).toEqual([['reason']]);
+				expect(unhandledRejectionHandler.callCount).toBe(0);
+				done();
+			}, 10);
+		});
+
+		test('promise should pass its handler on to children', function(done) {
+			const handler = sinon.stub();
+			createRejectedPromise('reason').onUnhandledRejection(handler).then(nullFunction);
+
+			setTimeout(function() {
+				expect(handler.args).toEqual([['reason']]);
+				expect(unhandledRejectionHandler.callCount).toBe(0);
+				done();
+			}, 30);
+		});
+
+		test('promise should use the handler pushed when it was created', function(done) {
+			const outer = sinon.stub();
+			const inner = sinon.stub();
+
+			CancellablePromise.pushUnhandledRejectionHandler(outer);
+			CancellablePromise.pushUnhandledRejectionHandler(inner);
+			CancellablePromise.reject('inner');
+			expect(CancellablePromise.popUnhandledRejectionHandler()).toBe(inner);
+			CancellablePromise.reject('outer');
+			expect(CancellablePromise.popUnhandledRejectionHandler()).toBe(outer);
+			expect(CancellablePromise.popUnhandledRejectionHandler()).toBe(null);
+			CancellablePromise.reject('global');
+
+			setTimeout(function() {
+				expect(inner.args).toEqual([['inner']]);
+				expect(outer.args).toEqual([['outer']]);
+				expect(unhandledRejectionHandler.args).toEqual([['global']]);
+				done();
+			}, 10);
+		});
+
+		test('promise should use the handler of the context it was created in', function(done) {
+			const handler = sinon.stub();
+			const context = {};
+
+			const result = CancellablePromise.withUnhandledRejectionHandler(handler, function() {
+				expect(this).toBe(context);
+				CancellablePromise.reject('reason');
+				return 'result';
+			}, context);
+
+			expect(result).toBe('result');
+			expect(CancellablePromise.popUnhandledRejectionHandler()).toBe(null);
+
+			setTimeout(function() {
+				expect(handler.args).toEqual([['reason']]);
+				expect(unhandledRejectionHandler.callCount).toBe(0);
+				done();
+			}, 10);
+		});
+
+		test('promise should pop the context handler if the function throws', function() {
+			expect(function() {
+				CancellablePromise.withUnhandledRejectionHandler(nullFunction, function() {
+					throw new Error('error');
+				});
+			}).toThrow('error');
+			expect(CancellablePromise.popUnhandledRejectionHandler()).toBe(null);
+		});
+
+		test('promise should not report handled rejections to scoped handlers', function(done) {
+			const handler = sinon.stub();
+			CancellablePromise.reject('reason').onUnhandledRejection(handler).catch(nullFunction);
+
+			setTimeout(function() {
+				expect(handler.callCount).toBe(0);
+				done();
+			}, 10);
+		});
+	});
+
+	describe('configuration', function() {
+		afterEach(function() {
+			CancellablePromise.configure({
+				asyncTraceCause: false,
+				longStackTraces: false,
+				unhandledRejectionDelay: 0
+			});
+		});
+
+		test('promise should get the global configuration by default', function() {
+			CancellablePromise.configure({unhandledRejectionDelay: 50});
+			const promise = new CancellablePromise(nullFunction);
+
+			expect(CancellablePromise.UNHANDLED_REJECTION_DELAY).toBe(50);
+			expect(promise.getConfig()).toEqual({
+				asyncTraceCause: false,
+				longStackTraces: false,
+				unhandledRejectionDelay: 50
+			});
+		});
+
+		test('promise should override the global configuration and pass it on to children', function() {
+			const promise = new CancellablePromise(nullFunction);
+			expect(promise.configure({unhandledRejectionDelay: 50})).toBe(promise);
+			promise.configure({longStackTraces: true});
+			const child = promise.then();
+
+			CancellablePromise.configure({unhandledRejectionDelay: 10});
+			const expected = {
+				asyncTraceCause: false,
+				longStackTraces: true,
+				unhandledRejectionDelay: 50
+			};
+			expect(promise.getConfig()).toEqual(expected);
+			expect(child.getConfig()).toEqual(expected);
+		});
+
+		test('promise should report unhandled rejections after its own delay', function(done) {
+			createRejectedPromise('reason', 5).configure({unhandledRejectionDelay: 30});
+
+			setTimeout(function() {
+				expect(unhandledRejectionHandler.callCount).toBe(0);
+
+				setTimeout(function() {
+					expect(unhandledRejectionHandler.args).toEqual([['reason']]);
+					done();
+				}, 40);
+			}, 15);
+		});
+
+		test('promise should handle rejections after the delay was changed', function(done) {
+			CancellablePromise.configure({unhandledRejectionDelay: 30});
+			const promise = CancellablePromise.reject('reason');
+			CancellablePromise.configure({unhandledRejectionDelay: 0});
+
+			setTimeout(function() {
+				promise.catch(nullFunction);
+
+				setTimeout(function() {
+					expect(unhandledRejectionHandler.callCount).toBe(0);
+					done();
+				}, 40);
+			}, 10);
+		});
+
+		test('promise should append long stack traces once enabled', function(done) {
+			const promise = createPromise('value', 5);
+			CancellablePromise.configure({longStackTraces: true});
+
+			promise.then(function() {
+				throw new Error('error');
+			});
+
+			setTimeout(function() {
+				const error = unhandledRejectionHandler.args[0][0];
+				expect(error.message).toBe('error');
+				expect(error.stack).toContain('Promise trace:');
+				done();
+			}, 20);
+		});
+	});
+
+	describe('async traces', function() {
+		function throwError() {
+			throw new Error('error');
+		}
+
+		test('promise should record structured async traces', function(done) {
+			const promise = createPromise('value', 5).configure({longStackTraces: true});
+			promise.then(throwError);
+
+			setTimeout(function() {
+				const error = unhandledRejectionHandler.args[0][0];
+				const trace = CancellablePromise.getAsyncTrace(error);
+
+				expect(trace.length).toBe(2);
+				expect(trace[0].rejected).toBe(true);
+				expect(trace[0].result).toBe(error);
+				expect(trace[1].rejected).toBe(false);
+				expect(trace[1].result).toBe('value');
+
+				const frame = trace[1].frames[0];
+				expect(trace[1].frames.length).toBe(1);
+				expect(frame.kind).toBe('then');
+				expect(frame.file).toContain('__tests__');
+				expect(typeof frame.line).toBe('number');
+				expect(typeof frame.column).toBe('number');
+				expect(error.stack).toContain('Promise trace:');
+				expect(error.cause).toBeUndefined();
+				done();
+			}, 20);
+		});
+
+		test('promise should record traces for each kind of call', function(done) {
+			const promise = createRejectedPromise('error', 5).configure({longStackTraces: true});
+			promise.thenAlways(nullFunction);
+			promise.then(nullFunction);
+			const error = new Error('error');
+			promise.thenCatch(function() {
+				throw error;
+			});
+
+			setTimeout(function() {
+				const trace = CancellablePromise.getAsyncTrace(error);
+				expect(trace[1].frames.map(frame => frame.kind)).toEqual(
+					['thenCatch', 'then', 'thenAlways']);
+				done();
+			}, 20);
+		});
+
+		test('promise should record async traces of handled errors', function(done) {
+			const error = new Error('error');
+			CancellablePromise.resolve('value')
+				.configure({longStackTraces: true})
+				.then(function() {
+					throw error;
+				})
+				.catch(function(caught) {
+					const trace = CancellablePromise.getAsyncTrace(caught);
+					expect(caught).toBe(error);
+					expect(trace.length).toBe(2);
+					expect(trace[0].result).toBe(error);
+					expect(trace[1].frames.map(frame => frame.kind)).toEqual(['then']);
+					expect(error.stack.split('Promise trace:').length).toBe(2);
+					expect(unhandledRejectionHandler.callCount).toBe(0);
+					done();
+				});
+		});
+
+		test('promise should not record trace frames for internal callbacks', function() {
+			const promise = new CancellablePromise(nullFunction).configure({longStackTraces: true});
+			const child = promise.timeout(1000);
+
+			expect(promise.stack_.map(frame => frame.kind)).toEqual(['then']);
+			expect(child.stack_).toEqual([]);
+			child.cancel();
+		});
+
+		test('promise should link async traces as causes if configured', function(done) {
+			createPromise('value', 5)
+				.configure({
+					asyncTraceCause: true,
+					longStackTraces: true
+				})
+				.then(throwError);
+
+			setTimeout(function() {
+				const error = unhandledRejectionHandler.args[0][0];
+				const trace = CancellablePromise.getAsyncTrace(error);
+
+				expect(error.cause.name).toBe('AsyncTrace');
+				expect(error.cause.frames).toBe(trace[0].frames);
+				expect(error.cause.message).toBe('Value: [REJECTED] <Error: error>');
+
+				const parentCause = error.cause.cause;
+				expect(parentCause.frames).toBe(trace[1].frames);
+				expect(parentCause.message).toBe('Value: [FULFILLED] <value>');
+				expect(parentCause.stack).toContain('then      at ');
+				expect(parentCause.cause).toBeUndefined();
+				done();
+			}, 20);
+		});
+
+		test('promise should not replace the cause of errors', function(done) {
+			const cause = new Error('cause');
+			createPromise('value', 5)
+				.configure({
+					asyncTraceCause: true,
+					longStackTraces: true
+				})
+				.then(function() {
+					const error = new Error('error');
+					error.cause = cause;
+					throw error;
+				});
+
+			setTimeout(function() {
+				const error = unhandledRejectionHandler.args[0][0];
+				expect(error.cause).toBe(cause);
+				expect(CancellablePromise.getAsyncTrace(error)).not.toBe(null);
+				done();
+			}, 20);
+		});
+
+		test('promise should not record async traces by default', function(done) {
+			createPromise('value', 5).then(throwError);
+
+			setTimeout(function() {
+				const error = unhandledRejectionHandler.args[0][0];
+				expect(CancellablePromise.getAsyncTrace(error)).toBe(null);
+				expect(error.stack).not.toContain('Promise trace:');
+				done();
+			}, 20);
+		});
+
+		test('promise should not get async traces of values that are not objects', function() {
+			expect(CancellablePromise.getAsyncTrace('error')).toBe(null);
+			expect(CancellablePromise.getAsyncTrace(null)).toBe(null);
+		});
+	});
+
+	describe('scheduler', function() {
+		afterEach(function() {
+			CancellablePromise.setScheduler(CancellablePromise.Schedulers.DEFAULT);
+		});
+
+		test('promise should run callbacks with a custom scheduler', function() {
+			const queue = [];
+			CancellablePromise.setScheduler({
+				run: function(callback) {
+					queue.push(callback);
+				}
+			});
+			const listener = sinon.stub();
+
+			CancellablePromise.resolve('value').then(listener);
+			expect(listener.callCount).toBe(0);
+
+			while (queue.length) {
+				queue.shift()();
+			}
+			expect(listener.args).toEqual([['value']]);
+		});
+
+		test('promise should cancel with a custom scheduler', function() {
+			const queue = [];
+			CancellablePromise.setScheduler({
+				run: function(callback) {
+					queue.push(callback);
+				}
+			});
+			const promise = new CancellablePromise(nullFunction);
+
+			promise.cancel();
+			expect(queue.length).toBe(1);
+			queue.shift()();
+			expect(promise.state_).toBe(CancellablePromise.State_.REJECTED);
+		});
+
+		test('promise should use the timers of the scheduler', function(done) {
+			const timers = [];
+			CancellablePromise.setScheduler({
+				run: CancellablePromise.Schedulers.DEFAULT.run,
+				setTimeout: function(callback, ms) {
+					timers.push({callback, ms});
+					return timers.length;
+				},
+				clearTimeout: sinon.stub()
+			});
+
+			CancellablePromise.delay(1000, 'value').then(function(value) {
+				expect(value).toBe('value');
+				done();
+			});
+			expect(timers.length).toBe(1);
+			expect(timers[0].ms).toBe(1000);
+			timers[0].callback();
+		});
+
+		test('promise should clear timers with the scheduler that set them', function(done) {
+			const scheduler = {
+				run: CancellablePromise.Schedulers.DEFAULT.run,
+				setTimeout: sinon.stub().returns(1),
+				clearTimeout: sinon.stub()
+			};
+			CancellablePromise.setScheduler(scheduler);
+			const promise = CancellablePromise.delay(1000);
+			CancellablePromise.setScheduler(CancellablePromise.Schedulers.DEFAULT);
+
+			promise.cancel().then(function() {
+				expect(scheduler.clearTimeout.args).toEqual([[1]]);
+				done();
+			});
+		});
+
+		test('promise should run callbacks with the microtask scheduler', function(done) {
+			CancellablePromise.setScheduler(CancellablePromise.Schedulers.MICROTASK);
+			const calls = [];
+
+			setTimeout(function() {
+				calls.push('timeout');
+			}, 0);
+			CancellablePromise.resolve('value').then(function() {
+				calls.push('then');
+			});
+
+			setTimeout(function() {
+				expect(calls).toEqual(['then', 'timeout']);
+				done();
+			}, 10);
+		});
+
+		test('promise should run callbacks with the immediate scheduler', function(done) {
+			CancellablePromise.setScheduler(CancellablePromise.Schedulers.IMMEDIATE);
+
+			CancellablePromise.resolve('value').then(function(value) {
+				expect(value).toBe('value');
+				done();
+			});
+		});
+
+		test('promise should run chained callbacks in the same frame', function(done) {
+			CancellablePromise.setScheduler(CancellablePromise.Schedulers.FRAME);
+			const calls = [];
+
+			CancellablePromise.resolve(1).then(function(value) {
+				calls.push(value);
+				return value + 1;
+			}).then(function(value) {
+				calls.push(value);
+			});
+			expect(calls).toEqual([]);
+
+			setTimeout(function() {
+				expect(calls).toEqual([1, 2]);
+				done();
+			}, 20);
+		});
+
+		test('promise should keep running frame callbacks after one throws', function(done) {
+			CancellablePromise.setScheduler(CancellablePromise.Schedulers.FRAME);
+			const stub = sinon.stub(async, 'throwException');
+			const error = new Error('error');
+			const calls = [];
+
+			CancellablePromise.getScheduler().run(function() {
+				throw error;
+			});
+			CancellablePromise.resolve(1).then(value => calls.push(value));
+
+			setTimeout(function() {
+				CancellablePromise.resolve(2).then(value => calls.push(value));
+
+				setTimeout(function() {
+					stub.restore();
+					expect(stub.args).toEqual([[error]]);
+					expect(calls).toEqual([1, 2]);
+					done();
+				}, 20);
+			}, 20);
+		});
+
+		test('promise should throw error if scheduler has no run function', function() {
+			expect(() => CancellablePromise.setScheduler({})).toThrow(TypeError);
+			expect(CancellablePromise.getScheduler()).toBe(CancellablePromise.Schedulers.DEFAULT);
+		});
+	});
+
 	describe('all', function() {
 		test('promise.all should work on empty array', function(done) {
 			CancellablePromise.all([]).then(function(value) {
@@ -419,6 +1802,443 @@ describe('CancellablePromise', function() {
 				done();
 			});
 		});
+
+		test('promise.allSettled should resolve with spec shaped results', function(done) {
+			const array = [
+				createPromise('a', 20),
+				createRejectedPromise('b'),
+				'c'
+			];
+
+			CancellablePromise.allSettled(array, {spec: true}).then(function(value) {
+				expect(value).toEqual([
+					{
+						status: 'fulfilled',
+						value: 'a'
+					},
+					{
+						status: 'rejected',
+						reason: 'b'
+					},
+					{
+						status: 'fulfilled',
+						value: 'c'
+					}
+				]);
+				done();
+			});
+		});
+
+		test('promise.allSettled should give cancelled inputs a cancelled status', function(done) {
+			const cancelled = new CancellablePromise(nullFunction);
+			cancelled.cancel('stopped');
+
+			CancellablePromise.allSettled([cancelled, createRejectedPromise('b')], {spec: true}).then(function(value) {
+				expect(value[0].status).toBe(CancellablePromise.SettledStatus.CANCELLED);
+				expect(value[0].reason.IS_CANCELLATION_ERROR).toBe(true);
+				expect(value[0].reason.message).toBe('stopped');
+				expect(value[1].status).toBe(CancellablePromise.SettledStatus.REJECTED);
+				done();
+			});
+		});
+
+		test('promise.allSettledAsync should resolve with spec shaped results', function(done) {
+			CancellablePromise.allSettledAsync(createAsyncIterable(['a', createRejectedPromise('b')]), {spec: true}).then(function(value) {
+				expect(value).toEqual([
+					{status: 'fulfilled', value: 'a'},
+					{status: 'rejected', reason: 'b'}
+				]);
+				done();
+			});
+		});
+	});
+
+	describe('props', function() {
+		test('promise.props should resolve to an object with the same keys', function(done) {
+			CancellablePromise.props({
+				a: createPromise('a', 20),
+				b: 'b',
+				c: createThenable('c')
+			}).then(function(value) {
+				expect(value).toEqual({a: 'a', b: 'b', c: 'c'});
+				done();
+			});
+		});
+
+		test('promise.props should resolve to a map with the same keys', function(done) {
+			const key = {};
+			const map = new Map([[key, createPromise('a')], ['b', 'b']]);
+
+			CancellablePromise.props(map).then(function(value) {
+				expect(value).toBeInstanceOf(Map);
+				expect(value.get(key)).toBe('a');
+				expect(value.get('b')).toBe('b');
+				done();
+			});
+		});
+
+		test('promise.props should work on empty object', function(done) {
+			CancellablePromise.props({}).then(function(value) {
+				expect(value).toEqual({});
+				done();
+			});
+		});
+
+		test('promise.props should reject with the first rejection reason', function(done) {
+			CancellablePromise.props({
+				a: createPromise('a'),
+				b: createRejectedPromise('rejected-b')
+			}).catch(function(error) {
+				expect(error).toBe('rejected-b');
+				done();
+			});
+		});
+
+		test('promise.props should reject if input is not an object', function(done) {
+			CancellablePromise.props(null).catch(function(error) {
+				expect(error).toBeInstanceOf(TypeError);
+				done();
+			});
+		});
+
+		test('canceling promise.props should cancel its inputs', function(done) {
+			const input = new CancellablePromise(nullFunction);
+
+			CancellablePromise.props({input: input}).cancel().then(function() {
+				expect(input.state_).toBe(CancellablePromise.State_.REJECTED);
+				done();
+			});
+		});
+
+		test('promise.propsSettled should resolve to result objects', function(done) {
+			CancellablePromise.propsSettled({
+				a: createPromise('a'),
+				b: createRejectedPromise('b')
+			}).then(function(value) {
+				expect(value).toEqual({
+					a: {fulfilled: true, value: 'a'},
+					b: {fulfilled: false, reason: 'b'}
+				});
+				done();
+			});
+		});
+
+		test('promise.propsSettled should resolve to spec shaped results', function(done) {
+			const map = new Map([['a', 'a'], ['b', createRejectedPromise('b')]]);
+
+			CancellablePromise.propsSettled(map, {spec: true}).then(function(value) {
+				expect(value.get('a')).toEqual({status: 'fulfilled', value: 'a'});
+				expect(value.get('b')).toEqual({status: 'rejected', reason: 'b'});
+				done();
+			});
+		});
+	});
+
+	describe('map', function() {
+		test('promise.map should map values in order', function(done) {
+			CancellablePromise.map([createPromise(1, 20), 2, 3], function(value, index) {
+				return createPromise(value * 10 + index, 10 - index * 5);
+			}).then(function(value) {
+				expect(value).toEqual([10, 21, 32]);
+				done();
+			});
+		});
+
+		test('promise.map should work on empty array', function(done) {
+			CancellablePromise.map([], fail).then(function(value) {
+				expect(value).toEqual([]);
+				done();
+			});
+		});
+
+		test('promise.map should reject if the concurrency is not a positive number', function(done) {
+			const results = [0, -1, NaN, '2'].map(function(concurrency) {
+				return CancellablePromise.map([1, 2], fail, {concurrency}).then(fail, function(error) {
+					return error;
+				});
+			});
+
+			CancellablePromise.all(results).then(function(errors) {
+				errors.forEach(function(error) {
+					expect(error).toBeInstanceOf(TypeError);
+					expect(error.message).toContain('The concurrency should be a positive number');
+				});
+				done();
+			});
+		});
+
+		test('promise.map should limit the number of pending mapper promises', function(done) {
+			let pending = 0;
+			let maxPending = 0;
+
+			CancellablePromise.map([1, 2, 3, 4, 5], function(value) {
+				pending++;
+				maxPending = Math.max(maxPending, pending);
+				return createPromise(value, 5).thenAlways(function() {
+					pending--;
+				});
+			}, {concurrency: 2}).then(function(value) {
+				expect(value).toEqual([1, 2, 3, 4, 5]);
+				expect(maxPending).toBe(2);
+				done();
+			});
+		});
+
+		test('promise.map should reject with the first rejection reason', function(done) {
+			const mapper = sinon.spy(function(value) {
+				if (value == 2) {
+					throw new Error('mapper error');
+				}
+				return value;
+			});
+
+			CancellablePromise.map([1, 2, 3], mapper, {concurrency: 1}).catch(function(error) {
+				expect(error.message).toBe('mapper error');
+				expect(mapper.callCount).toBe(2);
+				done();
+			});
+		});
+
+		test('canceling promise.map should cancel mapper promises and stop mapping', function(done) {
+			const mapped = [];
+			const mapper = sinon.spy(function() {
+				const promise = new CancellablePromise(nullFunction);
+				mapped.push(promise);
+				return promise;
+			});
+			const promise = CancellablePromise.map([1, 2, 3, 4], mapper, {concurrency: 2});
+
+			setTimeout(function() {
+				promise.cancel().then(function() {
+					expect(mapper.callCount).toBe(2);
+					expect(mapped[0].state_).toBe(CancellablePromise.State_.REJECTED);
+					expect(mapped[1].state_).toBe(CancellablePromise.State_.REJECTED);
+					setTimeout(function() {
+						expect(mapper.callCount).toBe(2);
+						done();
+					}, 10);
+				});
+			}, 10);
+		});
+
+		test('promise.map should cancel running siblings on rejection with cancelRemaining', function(done) {
+			const sibling = new CancellablePromise(nullFunction);
+			const mappers = [
+				function() {
+					return sibling;
+				},
+				function() {
+					return createRejectedPromise('rejected', 5);
+				}
+			];
+
+			CancellablePromise.map([0, 1], function(value) {
+				return mappers[value]();
+			}, {cancelRemaining: true}).catch(function(error) {
+				expect(error).toBe('rejected');
+				sibling.catch(function(error) {
+					expect(error.IS_CANCELLATION_ERROR).toBe(true);
+					done();
+				});
+			});
+		});
+
+		test('promise.map should reject if input is not iterable', function(done) {
+			CancellablePromise.map(1, fail).catch(function(error) {
+				expect(error).toBeInstanceOf(TypeError);
+				done();
+			});
+		});
+
+		test('promise.mapSeries should map one value at a time', function(done) {
+			const calls = [];
+
+			CancellablePromise.mapSeries([1, 2, 3], function(value) {
+				calls.push('start-' + value);
+				return createPromise(value * 2, 10 - value * 3).thenAlways(function() {
+					calls.push('end-' + value);
+				});
+			}).then(function(value) {
+				expect(value).toEqual([2, 4, 6]);
+				expect(calls).toEqual(['start-1', 'end-1', 'start-2', 'end-2', 'start-3', 'end-3']);
+				done();
+			});
+		});
+
+		test('promise.each should resolve with the input values', function(done) {
+			const iterator = sinon.spy(function(value) {
+				return createPromise(value * 2);
+			});
+
+			CancellablePromise.each(new Set(['a', 'b']), iterator).then(function(value) {
+				expect(value).toEqual(['a', 'b']);
+				expect(iterator.args).toEqual([['a', 0], ['b', 1]]);
+				done();
+			});
+		});
+
+		test('promise.filter should keep the values matching the predicate', function(done) {
+			CancellablePromise.filter([1, 2, 3, 4], function(value) {
+				return createPromise(value % 2 == 0, 5);
+			}, {concurrency: 2}).then(function(value) {
+				expect(value).toEqual([2, 4]);
+				done();
+			});
+		});
+	});
+
+	describe('iterables', function() {
+		test('promise.all should accept any iterable', function(done) {
+			CancellablePromise.all(new Set([createPromise('a', 20), 'b'])).then(function(value) {
+				expect(value).toEqual(['a', 'b']);
+				done();
+			});
+		});
+
+		test('promise.all should reject if input is not iterable', function(done) {
+			CancellablePromise.all(undefined).catch(function(error) {
+				expect(error).toBeInstanceOf(TypeError);
+				done();
+			});
+		});
+
+		test('promise.allSettled should accept any iterable', function(done) {
+			const map = new Map([['a', 1]]);
+
+			CancellablePromise.allSettled(map).then(function(value) {
+				expect(value).toEqual([{fulfilled: true, value: ['a', 1]}]);
+				done();
+			});
+		});
+
+		test('promise.race should accept any iterable', function(done) {
+			CancellablePromise.race(new Set([createPromise('a', 20), createPromise('b')])).then(function(value) {
+				expect(value).toBe('b');
+				done();
+			});
+		});
+
+		test('promise.firstFulfilled should accept any iterable', function(done) {
+			CancellablePromise.firstFulfilled(new Set([createRejectedPromise('rejected-a'), 'b'])).then(function(value) {
+				expect(value).toBe('b');
+				done();
+			});
+		});
+
+		test('promise.allAsync should consume async iterable in order', function(done) {
+			const iterable = createAsyncIterable([createPromise('a', 30), 'b', createPromise('c')]);
+
+			CancellablePromise.allAsync(iterable).then(function(value) {
+				expect(value).toEqual(['a', 'b', 'c']);
+				expect(iterable.pulled).toBe(4);
+				expect(iterable.returned).toBe(false);
+				done();
+			});
+		});
+
+		test('promise.allAsync should work on empty async iterable', function(done) {
+			CancellablePromise.allAsync(createAsyncIterable([])).then(function(value) {
+				expect(value).toEqual([]);
+				done();
+			});
+		});
+
+		test('promise.allAsync should accept sync iterables', function(done) {
+			CancellablePromise.allAsync(new Set(['a', createPromise('b')])).then(function(value) {
+				expect(value).toEqual(['a', 'b']);
+				done();
+			});
+		});
+
+		test('promise.allAsync should reject if iteration fails', function(done) {
+			const iterable = {
+				[Symbol.asyncIterator]: function() {
+					return {
+						next: function() {
+							return CancellablePromise.reject('iteration error');
+						}
+					};
+				}
+			};
+
+			CancellablePromise.allAsync(iterable).catch(function(error) {
+				expect(error).toBe('iteration error');
+				done();
+			});
+		});
+
+		test('promise.allAsync should reject if input is not async iterable', function(done) {
+			CancellablePromise.allAsync(1).catch(function(error) {
+				expect(error).toBeInstanceOf(TypeError);
+				done();
+			});
+		});
+
+		test('promise.allSettledAsync should consume async iterable in order', function(done) {
+			const iterable = createAsyncIterable([createPromise('a', 30), createRejectedPromise('b')]);
+
+			CancellablePromise.allSettledAsync(iterable).then(function(value) {
+				expect(value).toEqual([
+					{fulfilled: true, value: 'a'},
+					{fulfilled: false, reason: 'b'}
+				]);
+				done();
+			});
+		});
+
+		test('promise.raceAsync should stop consuming once settled', function(done) {
+			const never = new CancellablePromise(nullFunction);
+			const iterable = createAsyncIterable(['a', never, never, never]);
+
+			CancellablePromise.raceAsync(iterable).then(function(value) {
+				expect(value).toBe('a');
+				return CancellablePromise.resolve().then(function() {
+					expect(iterable.pulled).toBeLessThan(4);
+					expect(iterable.returned).toBe(true);
+					done();
+				});
+			});
+		});
+
+		test('promise.firstFulfilledAsync should resolve to first fulfilled promise', function(done) {
+			const iterable = createAsyncIterable([createRejectedPromise('rejected-a'), createPromise('b', 20)]);
+
+			CancellablePromise.firstFulfilledAsync(iterable).then(function(value) {
+				expect(value).toBe('b');
+				done();
+			});
+		});
+
+		test('promise.firstFulfilledAsync should reject when all promises are rejected', function(done) {
+			const iterable = createAsyncIterable([createRejectedPromise('rejected-a'), createRejectedPromise('rejected-b', 20)]);
+
+			CancellablePromise.firstFulfilledAsync(iterable).catch(function(value) {
+				expect(value).toEqual(['rejected-a', 'rejected-b']);
+				done();
+			});
+		});
+
+		test('promise.anyAsync should reject with aggregate error when all promises are rejected', function(done) {
+			const iterable = createAsyncIterable([createRejectedPromise('rejected-a')]);
+
+			CancellablePromise.anyAsync(iterable).catch(function(error) {
+				expect(error.name).toBe('AggregateError');
+				expect(error.errors).toEqual(['rejected-a']);
+				done();
+			});
+		});
+
+		test('canceling async combinator should cancel consumed inputs', function(done) {
+			const input = new CancellablePromise(nullFunction);
+			const promise = CancellablePromise.allAsync(createAsyncIterable([input]));
+
+			setTimeout(function() {
+				promise.cancel().then(function() {
+					expect(input.state_).toBe(CancellablePromise.State_.REJECTED);
+					done();
+				});
+			}, 10);
+		});
 	});
 
 	describe('firstFulfilled', function() {
@@ -497,6 +2317,30 @@ function createRejectedPromise(value, delay) {
 	});
 }
 
+function createAsyncIterable(values) {
+	const iterable = {
+		pulled: 0,
+		returned: false,
+		[Symbol.asyncIterator]: function() {
+			let index = 0;
+			return {
+				next: function() {
+					iterable.pulled++;
+					return createPromise({
+						done: index >= values.length,
+						value: values[index++]
+					}, 1);
+				},
+				return: function() {
+					iterable.returned = true;
+					return CancellablePromise.resolve({done: true});
+				}
+			};
+		}
+	};
+	return iterable;
+}
+
 function createRejectedThenable(value) {
 	return CancellablePromise.resolve().then(function() {
 		new Error(value);
@@ -508,3 +2352,33 @@ function createThenable(value) {
 		return value;
 	});
 }
+
+class FakeAbortSignal {
+	constructor() {
+		this.aborted = false;
+		this.listeners = [];
+		this.reason = undefined;
+	}
+
+	addEventListener(type, listener) {
+		this.listeners.push(listener);
+	}
+
+	removeEventListener(type, listener) {
+		this.listeners = this.listeners.filter(l => l !== listener);
+	}
+}
+
+class FakeAbortController {
+	constructor() {
+		this.signal = new FakeAbortSignal();
+	}
+
+	abort(reason) {
+		if (!this.signal.aborted) {
+			this.signal.aborted = true;
+			this.signal.reason = reason;
+			this.signal.listeners.slice().forEach(listener => listener());
+		}
+	}
+}
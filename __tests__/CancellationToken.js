@@ -0,0 +1,91 @@
+import CancellablePromise from '../src/CancellablePromise';
+import CancellationToken from '../src/CancellationToken';
+import CancellationTokenSource from '../src/CancellationTokenSource';
+import sinon from 'sinon';
+import { nullFunction } from 'metal';
+
+describe('CancellationToken', function() {
+	test('token should not be canceled by default', function() {
+		const token = new CancellationTokenSource().token;
+
+		expect(token.isCancelled()).toBe(false);
+		expect(token.getReason()).toBe(null);
+		expect(() => token.throwIfCancelled()).not.toThrow();
+	});
+
+	test('token should throw cancel error once canceled', function() {
+		const source = new CancellationTokenSource();
+		source.cancel('cancel message');
+
+		try {
+			source.token.throwIfCancelled();
+			throw new Error('Should have thrown');
+		} catch (e) {
+			expect(e.IS_CANCELLATION_ERROR).toBe(true);
+			expect(e.message).toBe('cancel message');
+		}
+	});
+
+	test('token should call listeners once canceled', function() {
+		const listener = sinon.stub();
+		const source = new CancellationTokenSource();
+
+		source.token.onCancelled(listener);
+		source.cancel();
+		source.cancel();
+
+		expect(listener.callCount).toBe(1);
+		expect(listener.getCall(0).args[0]).toBe(source.token.getReason());
+	});
+
+	test('token should call listeners right away if already canceled', function() {
+		const listener = sinon.stub();
+		const source = new CancellationTokenSource();
+
+		source.cancel();
+		source.token.onCancelled(listener);
+
+		expect(listener.callCount).toBe(1);
+	});
+
+	test('token should not call removed listeners', function() {
+		const listener = sinon.stub();
+		const source = new CancellationTokenSource();
+
+		const remove = source.token.onCancelled(listener);
+		remove();
+		source.cancel();
+
+		expect(listener.callCount).toBe(0);
+	});
+
+	test('token should cancel linked promises', function(done) {
+		const source = new CancellationTokenSource();
+		const promise1 = source.token.link(new CancellablePromise(nullFunction));
+		const promise2 = source.token.link(new CancellablePromise(nullFunction));
+
+		CancellablePromise.allSettled([promise1, promise2]).then(function(results) {
+			expect(results[0].reason.IS_CANCELLATION_ERROR).toBe(true);
+			expect(results[0].reason.message).toBe('cancel message');
+			expect(results[0].reason).toBe(source.token.getReason());
+			expect(results[1].reason).toBe(source.token.getReason());
+			done();
+		});
+
+		source.cancel('cancel message');
+	});
+
+	test('token should stop listening once linked promise is settled', function(done) {
+		const source = new CancellationTokenSource();
+
+		source.token.link(CancellablePromise.resolve('value')).then(function(value) {
+			expect(value).toBe('value');
+			expect(source.token.listeners_.length).toBe(0);
+			done();
+		});
+	});
+
+	test('none token should never be canceled', function() {
+		expect(CancellationToken.NONE.isCancelled()).toBe(false);
+	});
+});
@@ -0,0 +1,67 @@
+import CancellationTokenSource from '../src/CancellationTokenSource';
+import sinon from 'sinon';
+
+describe('CancellationTokenSource', function() {
+	let clock;
+
+	beforeEach(function() {
+		clock = sinon.useFakeTimers();
+	});
+
+	afterEach(function() {
+		clock.restore();
+	});
+
+	test('source should cancel token after timeout', function() {
+		const source = new CancellationTokenSource().cancelAfter(100, 'timed out');
+
+		clock.tick(99);
+		expect(source.token.isCancelled()).toBe(false);
+
+		clock.tick(1);
+		expect(source.token.isCancelled()).toBe(true);
+		expect(source.token.getReason().message).toBe('timed out');
+	});
+
+	test('source should not cancel token after being disposed', function() {
+		const source = new CancellationTokenSource().cancelAfter(100);
+
+		source.dispose();
+		clock.tick(100);
+
+		expect(source.token.isCancelled()).toBe(false);
+	});
+
+	test('linked source should be canceled when any linked token is canceled', function() {
+		const source1 = new CancellationTokenSource();
+		const source2 = new CancellationTokenSource();
+		const linked = CancellationTokenSource.createLinked(source1.token, source2.token);
+
+		source2.cancel('cancel message');
+
+		expect(linked.token.isCancelled()).toBe(true);
+		expect(linked.token.getReason()).toBe(source2.token.getReason());
+		expect(source1.token.isCancelled()).toBe(false);
+		expect(source1.token.listeners_.length).toBe(0);
+	});
+
+	test('linked source should be canceled right away if a linked token is canceled', function() {
+		const source = new CancellationTokenSource();
+		source.cancel();
+
+		const linked = new CancellationTokenSource([source.token]);
+
+		expect(linked.token.isCancelled()).toBe(true);
+		expect(linked.token.getReason()).toBe(source.token.getReason());
+		expect(linked.unlinkFns_.length).toBe(0);
+	});
+
+	test('canceling linked source should not cancel linked tokens', function() {
+		const source = new CancellationTokenSource();
+		const linked = new CancellationTokenSource([source.token]);
+
+		linked.cancel();
+
+		expect(source.token.isCancelled()).toBe(false);
+	});
+});
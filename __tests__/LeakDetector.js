@@ -0,0 +1,261 @@
+import CancellablePromise from '../src/CancellablePromise';
+import LeakDetector from '../src/LeakDetector';
+import ProgressPromise from '../src/ProgressPromise';
+import TestScheduler from '../src/TestScheduler';
+import sinon from 'sinon';
+import { async, nullFunction } from 'metal';
+
+describe('LeakDetector', function() {
+	let detector;
+	let onLeak;
+	let scheduler;
+
+	beforeEach(function() {
+		scheduler = new TestScheduler().install();
+		onLeak = sinon.stub();
+		detector = new LeakDetector({
+			onLeak,
+			threshold: 1000
+		}).install();
+	});
+
+	afterEach(function() {
+		detector.uninstall();
+		scheduler.uninstall();
+	});
+
+	test('detector should track pending promises with their creation site', function() {
+		const promise = new CancellablePromise(nullFunction);
+		scheduler.advance(10);
+
+		const pending = detector.getPending();
+		expect(pending.length).toBe(1);
+		expect(pending[0].promise).toBe(promise);
+		expect(pending[0].age).toBe(10);
+		expect(pending[0].site.kind).toBe('created');
+		expect(pending[0].site.file).toContain('__tests__');
+		expect(typeof pending[0].site.line).toBe('number');
+	});
+
+	test('detector should not keep the error read for the creation site', function() {
+		const promise = new CancellablePromise(nullFunction);
+		const record = promise.leakRecord_;
+
+		expect(record.site.file).toContain('__tests__');
+		Object.keys(record).forEach(key => {
+			expect(record[key] instanceof Error).toBe(false);
+		});
+	});
+
+	test('detector should not attribute promises created by scheduled callbacks to the scheduler', function() {
+		const promise = CancellablePromise.retry(() => CancellablePromise.reject('error'), {
+			attempts: 2,
+			delay: 1000
+		});
+		scheduler.flush();
+
+		const pending = detector.getPending();
+		expect(pending.length).toBe(2);
+		expect(pending[0].promise).toBe(promise);
+		expect(pending[0].site.file).toContain('__tests__');
+		expect(pending[1].site.file).toBe(null);
+		promise.thenCatch(nullFunction).cancel();
+		scheduler.flush();
+	});
+
+	test('detector should stop tracking settled promises', function() {
+		let resolve;
+		new CancellablePromise(function(res) {
+			resolve = res;
+		});
+		const canceled = new CancellablePromise(nullFunction);
+		CancellablePromise.resolve('value');
+		expect(detector.getPending().length).toBe(2);
+
+		resolve('value');
+		canceled.cancel();
+		scheduler.flush();
+		expect(detector.getPending().length).toBe(0);
+	});
+
+	test('detector should report promises pending for longer than the threshold once', function() {
+		const promise = new CancellablePromise(nullFunction);
+		scheduler.advance(500);
+		const other = new CancellablePromise(nullFunction);
+
+		expect(detector.check()).toEqual([]);
+		scheduler.advance(500);
+
+		const reports = detector.check();
+		expect(reports).toEqual([{
+			age: 1000,
+			hasCallbacks: false,
+			promise,
+			site: detector.getPending()[0].site,
+			type: LeakDetector.LeakType.PENDING
+		}]);
+		expect(onLeak.args).toEqual([[reports[0]]]);
+
+		scheduler.advance(500);
+		expect(detector.check().map(report => report.promise)).toEqual([other]);
+		expect(onLeak.callCount).toBe(2);
+	});
+
+	test('detector should check automatically at the given interval', function() {
+		detector.uninstall();
+		detector = new LeakDetector({
+			interval: 100,
+			onLeak,
+			threshold: 250
+		}).install();
+
+		const promise = new CancellablePromise(nullFunction);
+		scheduler.advance(200);
+		expect(onLeak.callCount).toBe(0);
+
+		scheduler.advance(100);
+		expect(onLeak.callCount).toBe(1);
+		expect(onLeak.args[0][0].promise).toBe(promise);
+
+		detector.uninstall();
+		expect(scheduler.getPendingCount()).toBe(0);
+	});
+
+	test('detector should rethrow reports asynchronously by default', function() {
+		const stub = sinon.stub(async, 'throwException');
+		detector.uninstall();
+		detector = new LeakDetector({threshold: 1000}).install();
+
+		new CancellablePromise(nullFunction);
+		scheduler.advance(1000);
+		const reports = detector.check();
+		stub.restore();
+
+		expect(stub.callCount).toBe(1);
+		const error = stub.args[0][0];
+		expect(error.report).toBe(reports[0]);
+		expect(error.message).toContain('A promise has been pending for 1000ms');
+		expect(error.message).toContain('__tests__');
+	});
+
+	test('detector should stop tracking new promises once uninstalled', function() {
+		const previous = detector;
+		const other = new LeakDetector({onLeak}).install();
+		expect(CancellablePromise.getLeakDetector()).toBe(other);
+
+		new CancellablePromise(nullFunction);
+		other.uninstall();
+		expect(CancellablePromise.getLeakDetector()).toBe(previous);
+		expect(other.getPending().length).toBe(1);
+		expect(previous.getPending().length).toBe(0);
+
+		previous.uninstall();
+		expect(CancellablePromise.getLeakDetector()).toBe(null);
+		new CancellablePromise(nullFunction);
+		expect(previous.getPending().length).toBe(0);
+	});
+
+	describe('garbage collection', function() {
+		let originalRegistry;
+		let originalWeakRef;
+		let registered;
+
+		beforeEach(function() {
+			detector.uninstall();
+			originalRegistry = global.FinalizationRegistry;
+			originalWeakRef = global.WeakRef;
+			registered = [];
+
+			global.FinalizationRegistry = class {
+				constructor(callback) {
+					this.callback = callback;
+				}
+
+				register(target, heldValue) {
+					registered.push({
+						collect: () => this.callback(heldValue),
+						target
+					});
+				}
+
+				unregister() {}
+			};
+		});
+
+		afterEach(function() {
+			global.FinalizationRegistry = originalRegistry;
+			global.WeakRef = originalWeakRef;
+		});
+
+		test('detector should report collected pending promises with callbacks', function() {
+			detector = new LeakDetector({onLeak}).install();
+			const promise = new CancellablePromise(nullFunction);
+			promise.thenVoid(nullFunction);
+			new CancellablePromise(nullFunction);
+
+			registered.forEach(registration => registration.collect());
+			expect(onLeak.callCount).toBe(1);
+			expect(onLeak.args[0][0].type).toBe(LeakDetector.LeakType.COLLECTED);
+			expect(onLeak.args[0][0].hasCallbacks).toBe(true);
+			expect(onLeak.args[0][0].site.file).toContain('__tests__');
+			expect(detector.getPending().length).toBe(0);
+		});
+
+		test('detector should not count the internal callbacks of progress promises', function() {
+			detector = new LeakDetector({onLeak}).install();
+			new ProgressPromise(nullFunction);
+			new ProgressPromise(nullFunction).thenVoid(nullFunction);
+
+			registered.forEach(registration => registration.collect());
+			expect(onLeak.callCount).toBe(1);
+			expect(onLeak.args[0][0].hasCallbacks).toBe(true);
+		});
+
+		test('detector should not count the internal callbacks of combinators and helpers', function() {
+			detector = new LeakDetector({onLeak}).install();
+			const parent = new CancellablePromise(nullFunction);
+			const input = new CancellablePromise(nullFunction);
+			const timeout = parent.timeout(1000);
+			const signal = {
+				aborted: false,
+				addEventListener: nullFunction,
+				removeEventListener: nullFunction
+			};
+			const signaled = CancellablePromise.fromSignal(nullFunction, signal);
+			const combined = CancellablePromise.all([input], {cancelRemaining: true});
+
+			registered.forEach(registration => registration.collect());
+			const reported = onLeak.args.map(args => args[0].promise);
+			expect(reported).toEqual([parent, input]);
+			expect(reported).not.toContain(timeout);
+			expect(reported).not.toContain(signaled);
+			expect(reported).not.toContain(combined);
+		});
+
+		test('detector should report collected promises found while checking', function() {
+			global.WeakRef = class {
+				deref() {
+					return undefined;
+				}
+			};
+			detector = new LeakDetector({onLeak}).install();
+			new CancellablePromise(nullFunction).thenVoid(nullFunction);
+
+			expect(detector.check()).toEqual([]);
+			expect(onLeak.callCount).toBe(1);
+			expect(onLeak.args[0][0].type).toBe(LeakDetector.LeakType.COLLECTED);
+			expect(onLeak.args[0][0].promise).toBe(null);
+
+			registered[0].collect();
+			expect(onLeak.callCount).toBe(1);
+		});
+
+		test('detector should track promises strongly without WeakRef', function() {
+			global.WeakRef = undefined;
+			detector = new LeakDetector({onLeak}).install();
+			const promise = new CancellablePromise(nullFunction);
+
+			expect(detector.getPending()[0].promise).toBe(promise);
+		});
+	});
+});
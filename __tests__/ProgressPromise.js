@@ -1,6 +1,7 @@
+import CancellablePromise from '../src/CancellablePromise';
 import ProgressPromise from '../src/ProgressPromise';
 import sinon from 'sinon';
-import { async } from 'metal';
+import { async, nullFunction } from 'metal';
 
 describe('ProgressPromise', function() {
 	test('promise should update progress', function(done) {
@@ -21,7 +22,7 @@ describe('ProgressPromise', function() {
 		})
 		.progress(listener)
 		.then(function() {
-			expect(listener.callCount).toBe(9);
+			expect(listener.callCount).toBe(10);
 			expect(listener.getCall(0).args[0]).toBe(0.1);
 			expect(listener.getCall(1).args[0]).toBe(0.2);
 			expect(listener.getCall(2).args[0]).toBe(0.3);
@@ -31,6 +32,7 @@ describe('ProgressPromise', function() {
 			expect(listener.getCall(6).args[0]).toBe(0.7);
 			expect(listener.getCall(7).args[0]).toBe(0.8);
 			expect(listener.getCall(8).args[0]).toBe(0.9);
+			expect(listener.getCall(9).args[0]).toBe(1);
 
 			done();
 		});
@@ -127,6 +129,365 @@ describe('ProgressPromise', function() {
 		})
 	});
 
+	test('promise should pass progress to every child promise', function(done) {
+		const listenerA = sinon.stub();
+		const listenerB = sinon.stub();
+		const listenerC = sinon.stub();
+
+		const promise = new ProgressPromise(function(resolve, reject, progress) {
+			progress(0.5);
+			async.nextTick(resolve);
+		});
+		promise.then(nullFunction).progress(listenerA);
+		promise.then(nullFunction).progress(listenerB).then(nullFunction).progress(listenerC);
+
+		promise.then(function() {
+			expect(listenerA.args).toEqual([[0.5]]);
+			expect(listenerB.args).toEqual([[0.5]]);
+			expect(listenerC.args).toEqual([[0.5]]);
+			done();
+		});
+	});
+
+	test('promise should pass progress of returned promises to child promises', function(done) {
+		const listener = sinon.stub();
+
+		new ProgressPromise(function(resolve, reject, progress) {
+			progress(0.2);
+			async.nextTick(resolve);
+		})
+		.then(function() {
+			return new ProgressPromise(function(resolve, reject, progress) {
+				progress(0.1);
+				progress(0.6);
+				async.nextTick(resolve);
+			});
+		})
+		.progress(listener)
+		.then(function() {
+			expect(listener.args).toEqual([[0.2], [0.6]]);
+			done();
+		});
+	});
+
+	test('promise should map progress into its stage', function(done) {
+		const listener = sinon.stub();
+
+		new ProgressPromise(function(resolve, reject, progress) {
+			progress(0.5);
+			progress(1);
+			async.nextTick(resolve);
+		})
+		.stage(0, 0.5)
+		.then(function() {
+			return new ProgressPromise(function(resolve, reject, progress) {
+				progress(0.5);
+				async.nextTick(resolve);
+			}).stage(0.5, 1);
+		})
+		.progress(listener)
+		.then(function() {
+			expect(listener.args).toEqual([[0.25], [0.5], [0.75]]);
+			done();
+		});
+	});
+
+	test('promise should throw error if stage isn\'t a range between 0 and 1', function() {
+		const promise = new ProgressPromise(function() {});
+
+		expect(() => promise.stage(0.5, 0.2)).toThrow('The stage should be a range between 0 and 1');
+		expect(() => promise.stage(0, 2)).toThrow(TypeError);
+	});
+
+	describe('progress events', function() {
+		test('promise should compute progress from loaded and total', function(done) {
+			const listener = sinon.stub();
+
+			const promise = new ProgressPromise(function(resolve, reject, progress) {
+				progress({loaded: 25, total: 100, message: 'Downloading'});
+				async.nextTick(resolve);
+			});
+			promise.progress(listener).then(function() {
+				expect(listener.args).toEqual([[0.25]]);
+				expect(promise.getLoaded()).toBe(25);
+				expect(promise.getTotal()).toBe(100);
+				expect(promise.getMessage()).toBe('Downloading');
+				done();
+			});
+		});
+
+		test('promise should notify listeners of message changes', function(done) {
+			const listener = sinon.stub();
+
+			const promise = new ProgressPromise(function(resolve, reject, progress) {
+				progress({progress: 0.5, message: 'Uploading'});
+				progress({message: 'Processing'});
+				async.nextTick(resolve);
+			});
+			promise.progress(listener).then(function() {
+				expect(listener.args).toEqual([[0.5], [0.5]]);
+				expect(promise.getProgress()).toBe(0.5);
+				expect(promise.getMessage()).toBe('Processing');
+				done();
+			});
+		});
+
+		test('promise should support indeterminate progress', function(done) {
+			const states = [];
+
+			const promise = new ProgressPromise(function(resolve, reject, progress) {
+				progress(0.2);
+				progress({indeterminate: true});
+				progress(0.4);
+				async.nextTick(resolve);
+			});
+			promise.progress(function(progress) {
+				states.push([progress, promise.isIndeterminate()]);
+			}).then(function() {
+				expect(states).toEqual([[0.2, false], [0.2, true], [0.4, false]]);
+				done();
+			});
+		});
+
+		test('promise should allow lower progress on reset', function(done) {
+			const listener = sinon.stub();
+
+			new ProgressPromise(function(resolve, reject, progress) {
+				progress(0.6);
+				progress({progress: 0, reset: true, message: 'Retrying'});
+				progress(0.3);
+				async.nextTick(resolve);
+			})
+			.progress(listener)
+			.then(function() {
+				expect(listener.args).toEqual([[0.6], [0], [0.3]]);
+				done();
+			});
+		});
+
+		test('promise should pass progress events to child promises', function(done) {
+			const promise = new ProgressPromise(function(resolve, reject, progress) {
+				progress({loaded: 1, total: 2, message: 'Halfway'});
+				async.nextTick(resolve);
+			});
+			const child = promise.then(nullFunction);
+
+			promise.then(function() {
+				expect(child.getProgress()).toBe(0.5);
+				expect(child.getLoaded()).toBe(1);
+				expect(child.getMessage()).toBe('Halfway');
+				done();
+			});
+		});
+
+		test('promise should throw error if loaded isn\'t between 0 and total', function() {
+			const promise = new ProgressPromise(function() {});
+
+			expect(() => promise.setProgress_({loaded: 3, total: 2})).toThrow('The loaded amount should be a number between 0 and the total');
+			expect(() => promise.setProgress_({loaded: 1})).toThrow(TypeError);
+		});
+
+		test('promise should compute smoothed rate and eta', function() {
+			const now = sinon.stub(Date, 'now').returns(0);
+			const promise = new ProgressPromise(function() {});
+
+			expect(promise.getRate()).toBe(null);
+			expect(promise.getEta()).toBe(null);
+
+			now.returns(1000);
+			promise.setProgress_(0.1);
+			expect(promise.getRate()).toBeCloseTo(0.1);
+			expect(promise.getEta()).toBeCloseTo(9000);
+
+			now.returns(2000);
+			promise.setProgress_(0.3);
+			expect(promise.getRate()).toBeCloseTo(0.3 * 0.2 + 0.7 * 0.1);
+
+			promise.setProgress_({indeterminate: true});
+			expect(promise.getEta()).toBe(null);
+
+			promise.setProgress_({progress: 0, reset: true});
+			expect(promise.getRate()).toBe(null);
+			now.restore();
+		});
+	});
+
+	describe('listener options', function() {
+		test('promise should coalesce updates made in the same tick', function(done) {
+			const listener = sinon.stub();
+
+			const promise = new ProgressPromise(function() {});
+			promise.progress(listener, {coalesce: true});
+			promise.setProgress_(0.1);
+			promise.setProgress_(0.2);
+			promise.setProgress_(0.3);
+
+			async.nextTick(function() {
+				expect(listener.args).toEqual([[0.3]]);
+				done();
+			});
+		});
+
+		test('promise should skip updates smaller than minDelta', function() {
+			const listener = sinon.stub();
+
+			const promise = new ProgressPromise(function() {});
+			promise.progress(listener, {minDelta: 0.1});
+			[0.1, 0.125, 0.25, 0.3, 0.5].forEach(progress => promise.setProgress_(progress));
+
+			expect(listener.args).toEqual([[0.1], [0.25], [0.5]]);
+		});
+
+		test('promise should throttle updates and deliver the latest one', function(done) {
+			const listener = sinon.stub();
+
+			const promise = new ProgressPromise(function() {});
+			promise.progress(listener, {throttle: 20});
+			promise.setProgress_(0.1);
+			promise.setProgress_(0.2);
+			promise.setProgress_(0.3);
+			expect(listener.args).toEqual([[0.1]]);
+
+			setTimeout(function() {
+				expect(listener.args).toEqual([[0.1], [0.3]]);
+				done();
+			}, 40);
+		});
+
+		test('promise should rethrow errors of delayed deliveries asynchronously', function(done) {
+			const stub = sinon.stub(async, 'throwException');
+			const error = new Error('listener');
+			const listener = sinon.spy(function(progress) {
+				if (progress !== 0.1) {
+					throw error;
+				}
+			});
+
+			const promise = new ProgressPromise(function() {});
+			promise.progress(listener, {throttle: 20});
+			promise.progress(listener, {coalesce: true});
+			promise.setProgress_(0.1);
+			promise.setProgress_(0.2);
+
+			setTimeout(function() {
+				stub.restore();
+				expect(listener.args).toEqual([[0.1], [0.2], [0.2]]);
+				expect(stub.args).toEqual([[error], [error]]);
+				done();
+			}, 40);
+		});
+
+		test('promise should always deliver the final update right away', function(done) {
+			const listener = sinon.stub();
+
+			const promise = new ProgressPromise(function() {});
+			promise.progress(listener, {throttle: 1000, minDelta: 0.5});
+			promise.setProgress_(0.1);
+			promise.setProgress_(0.2);
+			promise.setProgress_(1);
+			expect(listener.args).toEqual([[0.1], [1]]);
+
+			setTimeout(function() {
+				expect(listener.callCount).toBe(2);
+				done();
+			}, 10);
+		});
+	});
+
+	describe('listener lifecycle', function() {
+		test('promise should not call listeners removed with offProgress', function() {
+			const listenerA = sinon.stub();
+			const listenerB = sinon.stub();
+
+			const promise = new ProgressPromise(function() {});
+			promise.progress(listenerA).progress(listenerB);
+			promise.setProgress_(0.1);
+			promise.offProgress(listenerA);
+			promise.setProgress_(0.2);
+
+			expect(listenerA.args).toEqual([[0.1]]);
+			expect(listenerB.args).toEqual([[0.1], [0.2]]);
+		});
+
+		test('promise should call listeners added with once a single time', function() {
+			const listener = sinon.stub();
+
+			const promise = new ProgressPromise(function() {});
+			promise.progress(listener, {once: true});
+			promise.setProgress_(0.1);
+			promise.setProgress_(0.2);
+
+			expect(listener.args).toEqual([[0.1]]);
+			expect(promise.listeners_.length).toBe(0);
+		});
+
+		test('promise should drop throttled updates of listeners removed with offProgress', function(done) {
+			const listener = sinon.stub();
+
+			const promise = new ProgressPromise(function() {});
+			promise.progress(listener, {throttle: 20});
+			promise.setProgress_(0.1);
+			promise.setProgress_(0.2);
+			promise.offProgress(listener);
+
+			setTimeout(function() {
+				expect(listener.args).toEqual([[0.1]]);
+				done();
+			}, 40);
+		});
+
+		test('promise should drop throttled updates once settled', function(done) {
+			const listener = sinon.stub();
+			let resolve;
+
+			const promise = new ProgressPromise(function(res) {
+				resolve = res;
+			});
+			promise.progress(listener, {throttle: 20});
+			promise.setProgress_(0.1);
+			promise.setProgress_(0.2);
+			resolve();
+
+			setTimeout(function() {
+				expect(listener.args).toEqual([[0.1]]);
+				expect(promise.listeners_.length).toBe(0);
+				done();
+			}, 40);
+		});
+
+		test('promise should release listeners once settled', function(done) {
+			const listener = sinon.stub();
+
+			const promise = new ProgressPromise(function(resolve, reject, progress) {
+				progress(0.5);
+				resolve();
+			});
+			promise.progress(listener);
+
+			promise.then(function() {
+				async.nextTick(function() {
+					expect(listener.args).toEqual([[0.5]]);
+					expect(promise.listeners_.length).toBe(0);
+
+					promise.progress(listener);
+					expect(promise.listeners_.length).toBe(0);
+					done();
+				});
+			});
+		});
+
+		test('promise should release listeners once canceled', function(done) {
+			const promise = new ProgressPromise(function() {}).progress(sinon.stub());
+
+			promise.cancel().then(function() {
+				async.nextTick(function() {
+					expect(promise.listeners_.length).toBe(0);
+					done();
+				});
+			});
+		});
+	});
+
 	test('promise should call thenCatch if the promise is canceled', function(done) {
 		const promise = new ProgressPromise(function(resolve, reject, progress) {
 			async.nextTick(() => {
@@ -140,4 +501,198 @@ describe('ProgressPromise', function() {
 		.progress()
 		.cancel();
 	});
+
+	test('promise should call cancel handlers registered in the resolver', function(done) {
+		const handler = sinon.stub();
+
+		const promise = new ProgressPromise(function(resolve, reject, progress, onCancel) {
+			onCancel(handler);
+		});
+
+		promise.cancel().then(function() {
+			expect(handler.callCount).toBe(1);
+			expect(handler.getCall(0).args[0].IS_CANCELLATION_ERROR).toBe(true);
+			done();
+		});
+	});
+
+	describe('traces', function() {
+		beforeEach(function() {
+			CancellablePromise.configure({longStackTraces: true});
+		});
+
+		afterEach(function() {
+			CancellablePromise.configure({longStackTraces: false});
+		});
+
+		test('promise should record the user code as the trace frames', function() {
+			const promise = new ProgressPromise(nullFunction);
+			const child = promise.then(nullFunction);
+
+			expect(promise.stack_.map(frame => frame.kind)).toEqual(['created', 'then']);
+			expect(child.stack_.map(frame => frame.kind)).toEqual(['created']);
+			promise.stack_.concat(child.stack_).forEach(frame => {
+				expect(frame.file).toContain('__tests__');
+			});
+		});
+
+		test('promise should not record trace frames for the internal callbacks of combinators', function() {
+			const input = new ProgressPromise(nullFunction);
+			const combined = ProgressPromise.all([input], {cancelRemaining: true});
+
+			expect(input.stack_.map(frame => frame.kind)).not.toContain('thenAlways');
+			expect(combined.stack_.map(frame => frame.kind)).not.toContain('thenAlways');
+		});
+
+		test('promise should not count the release of listeners as a trace step', function(done) {
+			let resolve;
+			const promise = new ProgressPromise(function(res) {
+				resolve = res;
+			});
+			promise.then(function() {
+				expect(promise.currentStep_).toBe(1);
+				done();
+			});
+
+			resolve();
+		});
+	});
+
+	describe('combinators', function() {
+		test('promise.all should report the average progress of the inputs', function(done) {
+			const listener = sinon.stub();
+			let progressA;
+			let resolveA;
+			const a = new ProgressPromise(function(resolve, reject, progress) {
+				progressA = progress;
+				resolveA = resolve;
+			});
+			let resolveB;
+			const b = new CancellablePromise(function(resolve) {
+				resolveB = resolve;
+			});
+
+			const promise = ProgressPromise.all([a, b]).progress(listener);
+			expect(promise).toBeInstanceOf(ProgressPromise);
+
+			progressA(0.5);
+			async.nextTick(function() {
+				resolveB('b');
+				resolveA('a');
+			});
+
+			promise.then(function(value) {
+				expect(value).toEqual(['a', 'b']);
+				setTimeout(function() {
+					expect(listener.args).toEqual([[0.25], [0.75], [1]]);
+					done();
+				}, 10);
+			});
+		});
+
+		test('promise.all should weight the progress of the inputs', function(done) {
+			const listener = sinon.stub();
+			let progressA;
+			const a = new ProgressPromise(function(resolve, reject, progress) {
+				progressA = progress;
+				async.nextTick(() => resolve('a'));
+			});
+			const b = new CancellablePromise(nullFunction);
+
+			ProgressPromise.all([a, b], {weights: [3, 1]}).progress(listener);
+			progressA(0.5);
+
+			setTimeout(function() {
+				expect(listener.args).toEqual([[0.375], [0.75]]);
+				done();
+			}, 10);
+		});
+
+		test('promise.allSettled should count rejected inputs as done', function(done) {
+			const listener = sinon.stub();
+			const a = new CancellablePromise(nullFunction);
+			const b = CancellablePromise.reject('b');
+
+			ProgressPromise.allSettled([a, b, 'c'], {spec: true}).progress(listener);
+
+			setTimeout(function() {
+				expect(listener.lastCall.args[0]).toBeCloseTo(2 / 3);
+				done();
+			}, 10);
+		});
+
+		test('promise.allSettled should resolve with result objects', function(done) {
+			ProgressPromise.allSettled([CancellablePromise.reject('a'), 'b']).then(function(value) {
+				expect(value).toEqual([
+					{fulfilled: false, reason: 'a'},
+					{fulfilled: true, value: 'b'}
+				]);
+				done();
+			});
+		});
+
+		test('promise.race should resolve with the first settled input', function(done) {
+			const a = new ProgressPromise(nullFunction);
+
+			ProgressPromise.race([a, 'b']).then(function(value) {
+				expect(value).toBe('b');
+				done();
+			});
+		});
+
+		test('promise.race should report complete progress once settled', function(done) {
+			const listener = sinon.stub();
+			const a = new ProgressPromise(nullFunction);
+
+			const promise = ProgressPromise.race([a, 'b']).progress(listener);
+			promise.then(function() {
+				setTimeout(function() {
+					expect(listener.args).toEqual([[0.5], [1]]);
+					expect(promise.getProgress()).toBe(1);
+					done();
+				}, 10);
+			});
+		});
+
+		test('promise.race should report complete progress once rejected', function(done) {
+			const listener = sinon.stub();
+			const a = new ProgressPromise(nullFunction);
+
+			ProgressPromise.race([a, CancellablePromise.reject('b')]).progress(listener).catch(function(reason) {
+				expect(reason).toBe('b');
+				setTimeout(function() {
+					expect(listener.lastCall.args).toEqual([1]);
+					done();
+				}, 10);
+			});
+		});
+
+		test('promise.all should reject if input is not iterable', function(done) {
+			ProgressPromise.all(1).catch(function(error) {
+				expect(error).toBeInstanceOf(TypeError);
+				done();
+			});
+		});
+
+		test('canceling promise.all should cancel the inputs', function(done) {
+			const a = new ProgressPromise(nullFunction);
+
+			ProgressPromise.all([a]).cancel().then(function() {
+				expect(a.state_).toBe(CancellablePromise.State_.REJECTED);
+				done();
+			});
+		});
+
+		test('canceling promise.all should use its cancel policy', function(done) {
+			const a = new ProgressPromise(nullFunction);
+
+			ProgressPromise.all([a])
+				.setCancelPolicy(CancellablePromise.CancelPolicy.NEVER)
+				.cancel()
+				.then(function() {
+					expect(a.state_).toBe(CancellablePromise.State_.PENDING);
+					done();
+				});
+		});
+	});
 });
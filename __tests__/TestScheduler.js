@@ -0,0 +1,141 @@
+import CancellablePromise from '../src/CancellablePromise';
+import ProgressPromise from '../src/ProgressPromise';
+import TestScheduler from '../src/TestScheduler';
+import sinon from 'sinon';
+import { nullFunction } from 'metal';
+
+describe('TestScheduler', function() {
+	let scheduler;
+
+	beforeEach(function() {
+		scheduler = new TestScheduler().install();
+	});
+
+	afterEach(function() {
+		scheduler.uninstall();
+	});
+
+	test('scheduler should run callbacks only when flushed', function() {
+		const listener = sinon.stub();
+
+		CancellablePromise.resolve('value').then(listener);
+		expect(listener.callCount).toBe(0);
+		expect(scheduler.getPendingCount()).toBe(1);
+
+		scheduler.flush();
+		expect(listener.args).toEqual([['value']]);
+		expect(scheduler.getPendingCount()).toBe(0);
+	});
+
+	test('scheduler should run callbacks one at a time', function() {
+		const calls = [];
+
+		CancellablePromise.resolve(1).then(function(value) {
+			calls.push(value);
+			return value + 1;
+		}).then(function(value) {
+			calls.push(value);
+		});
+
+		expect(scheduler.runNext()).toBe(true);
+		expect(calls).toEqual([1]);
+		expect(scheduler.runNext()).toBe(true);
+		expect(calls).toEqual([1, 2]);
+
+		scheduler.flush();
+		expect(scheduler.runNext()).toBe(false);
+	});
+
+	test('scheduler should throw error if callbacks are scheduled endlessly', function() {
+		const loop = function() {
+			scheduler.run(loop);
+		};
+		scheduler.run(loop);
+
+		expect(() => scheduler.flush()).toThrow(/endless loop/);
+	});
+
+	test('scheduler should fire timers when advancing the clock', function() {
+		const listener = sinon.stub();
+
+		CancellablePromise.delay(100, 'value').then(listener);
+
+		scheduler.advance(99);
+		expect(listener.callCount).toBe(0);
+		expect(scheduler.now()).toBe(99);
+
+		scheduler.advance(1);
+		expect(listener.args).toEqual([['value']]);
+	});
+
+	test('scheduler should fire timers in order', function() {
+		const calls = [];
+
+		scheduler.setTimeout(() => calls.push('b'), 20);
+		scheduler.setTimeout(() => calls.push('a'), 10);
+		scheduler.setTimeout(() => calls.push('c'), 20);
+		const id = scheduler.setTimeout(() => calls.push('d'), 5);
+		scheduler.clearTimeout(id);
+
+		expect(scheduler.advance(20)).toBe(3);
+		expect(calls).toEqual(['a', 'b', 'c']);
+	});
+
+	test('scheduler should drive timeouts', function() {
+		const listener = sinon.stub();
+		const promise = new CancellablePromise(nullFunction);
+
+		promise.timeout(50).catch(listener);
+		scheduler.advance(50);
+
+		expect(listener.callCount).toBe(1);
+		expect(listener.getCall(0).args[0].IS_TIMEOUT_ERROR).toBe(true);
+		expect(promise.state_).toBe(CancellablePromise.State_.REJECTED);
+	});
+
+	test('scheduler should drive unhandled rejection timers', function() {
+		const handler = sinon.stub();
+		const delay = CancellablePromise.UNHANDLED_REJECTION_DELAY;
+		CancellablePromise.setUnhandledRejectionHandler(handler);
+		CancellablePromise.UNHANDLED_REJECTION_DELAY = 100;
+
+		CancellablePromise.reject('error');
+		scheduler.advance(99);
+		expect(handler.callCount).toBe(0);
+		scheduler.advance(1);
+		expect(handler.args).toEqual([['error']]);
+
+		CancellablePromise.UNHANDLED_REJECTION_DELAY = delay;
+	});
+
+	test('scheduler should drive progress updates', function() {
+		const listener = sinon.stub();
+
+		new ProgressPromise(function(resolve, reject, progress) {
+			progress(0.5);
+		}).progress(listener);
+		expect(listener.callCount).toBe(0);
+
+		scheduler.flush();
+		expect(listener.args).toEqual([[0.5]]);
+	});
+
+	test('scheduler should drive throttled progress listeners', function() {
+		const listener = sinon.stub();
+		const promise = new ProgressPromise(nullFunction);
+
+		promise.progress(listener, {throttle: 100});
+		promise.setProgress_(0.1);
+		promise.setProgress_(0.2);
+		expect(listener.args).toEqual([[0.1]]);
+
+		scheduler.advance(100);
+		expect(listener.args).toEqual([[0.1], [0.2]]);
+	});
+
+	test('scheduler should restore the previous scheduler once uninstalled', function() {
+		scheduler.uninstall();
+
+		expect(CancellablePromise.getScheduler()).toBe(CancellablePromise.Schedulers.DEFAULT);
+	});
+});
@@ -83,10 +83,13 @@ var partial = function(fn) {
  * @param {function(
  *             this:RESOLVER_CONTEXT,
  *             function((TYPE|IThenable<TYPE>|Thenable)=),
- *             function(*=)): void} resolver
+ *             function(*=),
+ *             function(function(!Error): *)): void} resolver
  *     Initialization function that is invoked immediately with {@code resolve}
  *     and {@code reject} functions as arguments. The Promise is resolved or
- *     rejected with the first argument passed to either function.
+ *     rejected with the first argument passed to either function. A third
+ *     {@code onCancel} function can be used to register cleanup handlers,
+ *     see {@link #onCancel}.
  * @param {RESOLVER_CONTEXT=} opt_context An optional context for executing the
  *     resolver function. If unspecified, the resolver function will be executed
  *     in the default scope.
@@ -137,47 +140,119 @@ var CancellablePromise = function(resolver, opt_context) {
    */
   this.executing_ = false;
 
-  if (CancellablePromise.UNHANDLED_REJECTION_DELAY > 0) {
-    /**
-     * A timeout ID used when the {@code UNHANDLED_REJECTION_DELAY} is greater
-     * than 0 milliseconds. The ID is set when the Promise is rejected, and
-     * cleared only if an {@code onRejected} callback is invoked for the
-     * Promise (or one of its descendants) before the delay is exceeded.
-     *
-     * If the rejection is not handled before the timeout completes, the
-     * rejection reason is passed to the unhandled rejection handler.
-     * @private {number}
-     */
-    this.unhandledRejectionId_ = 0;
-  } else if (CancellablePromise.UNHANDLED_REJECTION_DELAY == 0) {
-    /**
-     * When the {@code UNHANDLED_REJECTION_DELAY} is set to 0 milliseconds, a
-     * boolean that is set if the Promise is rejected, and reset to false if an
-     * {@code onRejected} callback is invoked for the Promise (or one of its
-     * descendants). If the rejection is not handled before the next timestep,
-     * the rejection reason is passed to the unhandled rejection handler.
-     * @private {boolean}
-     */
-    this.hadUnhandledRejection_ = false;
-  }
-
-  if (CancellablePromise.LONG_STACK_TRACES) {
-    /**
-     * A list of stack trace frames pointing to the locations where this Promise
-     * was created or had callbacks added to it. Saved to add additional context
-     * to stack traces when an exception is thrown.
-     * @private {!Array<string>}
-     */
-    this.stack_ = [];
-    this.addStackTrace_(new Error('created'));
+  /**
+   * The controller backing the {@code signal} of this Promise. Created lazily
+   * the first time the signal is requested.
+   * @private {AbortController}
+   */
+  this.abortController_ = null;
+
+  /**
+   * Handlers registered through {@code onCancel}, invoked once if the Promise
+   * is canceled. Released once the Promise is settled.
+   * @private {Array<function(!Error): *>}
+   */
+  this.cancelHandlers_ = null;
+
+  /**
+   * The policy for propagating cancellation from and to this Promise, or null
+   * to use {@code DEFAULT_CANCEL_POLICY}. Inherited by child Promises.
+   * @private {?CancellablePromise.CancelPolicy}
+   */
+  this.cancelPolicy_ = null;
+
+  /**
+   * The cleanup of the {@code cancel} call that rejected this Promise, which
+   * also collects the cleanup of the descendants rejected by its callbacks.
+   * Set from the rejection until the callbacks are executed.
+   * @private {?CancellablePromise.CancelCleanup_}
+   */
+  this.cancelCleanup_ = null;
+
+  /**
+   * Whether the rejection of this Promise was reported as unhandled, so that
+   * handling it later is reported as well.
+   * @private {boolean}
+   */
+  this.rejectionReported_ = false;
+
+  /**
+   * The handler for unhandled rejections of this Promise, either set through
+   * {@code onUnhandledRejection}, inherited from the parent Promise or taken
+   * from the handler stack when the Promise was created. Falls back to the
+   * global handler when null.
+   * @private {?function(*)}
+   */
+  this.unhandledRejectionHandler_ =
+      CancellablePromise.unhandledRejectionHandlers_.length ?
+      CancellablePromise.unhandledRejectionHandlers_[
+          CancellablePromise.unhandledRejectionHandlers_.length - 1] :
+      null;
+
+  /**
+   * The configuration of this Promise, which overrides the global settings and
+   * is inherited by child Promises. Null when the global settings apply.
+   * @private {?CancellablePromise.Config}
+   */
+  this.config_ = null;
+
+  /**
+   * A timer handle used when the unhandled rejection delay is greater than 0
+   * milliseconds. The handle is set when the Promise is rejected, and cleared
+   * only if an {@code onRejected} callback is invoked for the Promise (or one
+   * of its descendants) before the delay is exceeded.
+   *
+   * If the rejection is not handled before the timeout completes, the
+   * rejection reason is passed to the unhandled rejection handler.
+   * @private {Object|number}
+   */
+  this.unhandledRejectionId_ = 0;
+
+  /**
+   * When the unhandled rejection delay is set to 0 milliseconds, a boolean
+   * that is set if the Promise is rejected, and reset to false if an
+   * {@code onRejected} callback is invoked for the Promise (or one of its
+   * descendants). If the rejection is not handled before the next timestep,
+   * the rejection reason is passed to the unhandled rejection handler.
+   * @private {boolean}
+   */
+  this.hadUnhandledRejection_ = false;
+
+  /**
+   * A list of stack trace frames pointing to the locations where this Promise
+   * was created or had callbacks added to it, while long stack traces are
+   * enabled. Saved to add additional context to errors when an exception is
+   * thrown.
+   * @private {!Array<!CancellablePromise.TraceFrame>}
+   */
+  this.stack_ = [];
+
+  /**
+   * Index of the most recently executed stack frame entry.
+   * @private {number}
+   */
+  this.currentStep_ = 0;
+
+  /**
+   * The parent Promise, kept after this Promise is settled for reading the
+   * async trace of errors. Only set while long stack traces are enabled.
+   * @private {CancellablePromise}
+   */
+  this.traceParent_ = null;
 
-    /**
-     * Index of the most recently executed stack frame entry.
-     * @private {number}
-     */
-    this.currentStep_ = 0;
+  if (this.hasLongStackTraces_()) {
+    this.addStackTrace_(new Error('created'));
   }
 
+  /**
+   * The record of this Promise in the installed leak detector, while it is
+   * pending.
+   * @private {?LeakDetector.Record}
+   */
+  this.leakRecord_ = CancellablePromise.leakDetector_ ?
+      CancellablePromise.leakDetector_.track(this, new Error('created')) :
+      null;
+
   // As an optimization, we can skip this if resolver is nullFunction.
   // This value is passed internally when creating a promise which will be
   // resolved through a more optimized path.
@@ -205,6 +280,9 @@ var CancellablePromise = function(resolver, opt_context) {
               }
             }
             self.resolve_(CancellablePromise.State_.REJECTED, reason);
+          },
+          function(handler) {
+            self.onCancel(handler);
           });
     } catch (e) {
       this.resolve_(CancellablePromise.State_.REJECTED, e);
@@ -215,7 +293,8 @@ var CancellablePromise = function(resolver, opt_context) {
 
 /**
  * Whether traces of {@code then} calls should be included in
- * exceptions thrown
+ * exceptions thrown. Promises configured with {@code configure} may override
+ * it.
  * @type {boolean}
  */
 CancellablePromise.LONG_STACK_TRACES = false;
@@ -228,12 +307,403 @@ CancellablePromise.LONG_STACK_TRACES = false;
  * {@code window.onerror} handler.
  *
  * Rejections are rethrown as quickly as possible by default. A negative value
- * disables rejection handling entirely.
+ * disables rejection handling entirely. Promises configured with
+ * {@code configure} may override it.
  * @type {number}
  */
 CancellablePromise.UNHANDLED_REJECTION_DELAY = 0;
 
 
+/**
+ * Whether the async traces of errors should also be linked to them as a chain
+ * of {@code cause} errors, when long stack traces are enabled. Promises
+ * configured with {@code configure} may override it.
+ * @type {boolean}
+ */
+CancellablePromise.ASYNC_TRACE_CAUSE = false;
+
+
+/**
+ * Settings of a Promise. Unset settings fall back to the global settings.
+ * - longStackTraces: Whether traces of {@code then} calls should be included in
+ *   exceptions thrown, like {@code LONG_STACK_TRACES}.
+ * - unhandledRejectionDelay: The delay in milliseconds before an unhandled
+ *   rejection is reported, like {@code UNHANDLED_REJECTION_DELAY}.
+ * - asyncTraceCause: Whether async traces are linked to errors as a chain of
+ *   {@code cause} errors, like {@code ASYNC_TRACE_CAUSE}.
+ * @typedef {{
+ *   longStackTraces: (boolean|undefined),
+ *   unhandledRejectionDelay: (number|undefined),
+ *   asyncTraceCause: (boolean|undefined)
+ * }}
+ */
+CancellablePromise.Config;
+
+
+/**
+ * Changes the global settings. They can be changed while Promises are pending:
+ * the stack traces are recorded while long stack traces are enabled, and the
+ * unhandled rejection delay is read when a Promise is rejected.
+ *
+ * @param {!CancellablePromise.Config} config
+ */
+CancellablePromise.configure = function(config) {
+  if (isDef(config.longStackTraces)) {
+    CancellablePromise.LONG_STACK_TRACES = config.longStackTraces;
+  }
+  if (isDef(config.unhandledRejectionDelay)) {
+    CancellablePromise.UNHANDLED_REJECTION_DELAY = config.unhandledRejectionDelay;
+  }
+  if (isDef(config.asyncTraceCause)) {
+    CancellablePromise.ASYNC_TRACE_CAUSE = config.asyncTraceCause;
+  }
+};
+
+
+/**
+ * Overrides the global settings for this Promise and the child Promises
+ * created afterwards. Settings that aren't given keep their current value.
+ *
+ * @param {!CancellablePromise.Config} config
+ * @return {!CancellablePromise<TYPE>} This Promise, for chaining additional
+ *     calls.
+ */
+CancellablePromise.prototype.configure = function(config) {
+  var current = this.config_ || {};
+  this.config_ = {
+    longStackTraces: isDef(config.longStackTraces) ?
+        config.longStackTraces : current.longStackTraces,
+    unhandledRejectionDelay: isDef(config.unhandledRejectionDelay) ?
+        config.unhandledRejectionDelay : current.unhandledRejectionDelay,
+    asyncTraceCause: isDef(config.asyncTraceCause) ?
+        config.asyncTraceCause : current.asyncTraceCause
+  };
+  return this;
+};
+
+
+/**
+ * @return {!CancellablePromise.Config} The settings that apply to this Promise,
+ *     including the global ones it doesn't override.
+ */
+CancellablePromise.prototype.getConfig = function() {
+  return {
+    longStackTraces: this.hasLongStackTraces_(),
+    unhandledRejectionDelay: this.getUnhandledRejectionDelay_(),
+    asyncTraceCause: this.hasAsyncTraceCause_()
+  };
+};
+
+
+/**
+ * @return {boolean} Whether long stack traces are enabled for this Promise.
+ * @private
+ */
+CancellablePromise.prototype.hasLongStackTraces_ = function() {
+  var config = this.config_;
+  return config && isDef(config.longStackTraces) ?
+      config.longStackTraces : CancellablePromise.LONG_STACK_TRACES;
+};
+
+
+/**
+ * @return {number} The unhandled rejection delay of this Promise.
+ * @private
+ */
+CancellablePromise.prototype.getUnhandledRejectionDelay_ = function() {
+  var config = this.config_;
+  return config && isDef(config.unhandledRejectionDelay) ?
+      config.unhandledRejectionDelay :
+      CancellablePromise.UNHANDLED_REJECTION_DELAY;
+};
+
+
+/**
+ * @return {boolean} Whether async traces are linked to errors as a chain of
+ *     {@code cause} errors for this Promise.
+ * @private
+ */
+CancellablePromise.prototype.hasAsyncTraceCause_ = function() {
+  var config = this.config_;
+  return config && isDef(config.asyncTraceCause) ?
+      config.asyncTraceCause : CancellablePromise.ASYNC_TRACE_CAUSE;
+};
+
+
+/**
+ * Policies for propagating cancellation between a Promise and the Promises it
+ * is related to. The policy is set per Promise with {@code setCancelPolicy},
+ * and is inherited by the child Promises created by {@code then}.
+ * @enum {string}
+ */
+CancellablePromise.CancelPolicy = {
+  /**
+   * Canceling a child never cancels the Promise, and canceling a Promise
+   * created by a combinator such as {@code all} leaves its inputs pending.
+   */
+  NEVER: 'never',
+
+  /**
+   * The Promise is canceled when its only child (not counting
+   * {@code thenAlways} callbacks) is canceled, and a Promise created by a
+   * combinator cancels the inputs it is the only consumer of.
+   */
+  LAST_CHILD: 'lastChild',
+
+  /**
+   * Like {@code LAST_CHILD}, and canceling the Promise also actively cancels
+   * all of its descendants, running their cancel handlers, instead of only
+   * rejecting them. A Promise created by a combinator cancels all of its
+   * pending inputs.
+   */
+  SUBTREE: 'subtree'
+};
+
+
+/**
+ * The cancel policy of Promises that have none set.
+ * @type {CancellablePromise.CancelPolicy}
+ */
+CancellablePromise.DEFAULT_CANCEL_POLICY =
+    CancellablePromise.CancelPolicy.LAST_CHILD;
+
+
+/**
+ * Schedules the asynchronous work of Promises. {@code run} is called with
+ * every callback that must run asynchronously, such as {@code then} callbacks,
+ * cancellation and progress updates, and must invoke them in order.
+ * {@code setTimeout} and {@code clearTimeout} are used for timers, such as the
+ * ones of {@code delay} and {@code timeout}, and {@code now} for reading the
+ * current time in milliseconds. They default to the global functions and to
+ * {@code Date.now}.
+ *
+ * @typedef {{
+ *     run: function(function()),
+ *     setTimeout: (function(function(), number): *|undefined),
+ *     clearTimeout: (function(*)|undefined),
+ *     now: (function(): number|undefined)}}
+ */
+CancellablePromise.Scheduler;
+
+
+/**
+ * Creates a scheduler that runs callbacks in batches, once per animation
+ * frame. Callbacks scheduled while a batch runs are part of the same batch.
+ *
+ * @return {!CancellablePromise.Scheduler}
+ * @private
+ */
+CancellablePromise.createFrameScheduler_ = function() {
+  var queue = [];
+  var scheduled = false;
+
+  var flush = function() {
+    while (queue.length) {
+      var callbacks = queue;
+      queue = [];
+      for (var i = 0; i < callbacks.length; i++) {
+        // Rethrow asynchronously so that the remaining callbacks still run.
+        try {
+          callbacks[i]();
+        } catch (e) {
+          async.throwException(e);
+        }
+      }
+    }
+    scheduled = false;
+  };
+
+  return {
+    run: function(callback) {
+      queue.push(callback);
+      if (!scheduled) {
+        scheduled = true;
+        if (typeof requestAnimationFrame == 'function') {
+          requestAnimationFrame(flush);
+        } else {
+          setTimeout(flush, 16);
+        }
+      }
+    }
+  };
+};
+
+
+/**
+ * Schedulers that can be passed to {@code setScheduler}.
+ * @enum {!CancellablePromise.Scheduler}
+ */
+CancellablePromise.Schedulers = {
+  /** Runs callbacks with metal's {@code async.run}. This is the default. */
+  DEFAULT: {
+    run: function(callback) {
+      async.run(callback);
+    }
+  },
+
+  /** Runs callbacks as microtasks. */
+  MICROTASK: {
+    run: function(callback) {
+      if (typeof queueMicrotask == 'function') {
+        queueMicrotask(callback);
+      } else {
+        Promise.resolve().then(callback);
+      }
+    }
+  },
+
+  /** Runs callbacks with {@code setImmediate}, or its closest equivalent. */
+  IMMEDIATE: {
+    run: function(callback) {
+      if (typeof setImmediate == 'function') {
+        setImmediate(callback);
+      } else {
+        async.nextTick(callback);
+      }
+    }
+  },
+
+  /** Runs callbacks in batches, once per animation frame. */
+  FRAME: CancellablePromise.createFrameScheduler_()
+};
+
+
+/**
+ * The scheduler used by all Promises.
+ * @type {!CancellablePromise.Scheduler}
+ * @private
+ */
+CancellablePromise.scheduler_ = CancellablePromise.Schedulers.DEFAULT;
+
+
+/**
+ * Sets the scheduler used by all Promises for running callbacks and timers,
+ * such as one of {@code CancellablePromise.Schedulers} or a custom one.
+ *
+ * @param {!CancellablePromise.Scheduler} scheduler
+ */
+CancellablePromise.setScheduler = function(scheduler) {
+  if (!scheduler || !isFunction(scheduler.run)) {
+    throw new TypeError('The scheduler should have a run function');
+  }
+  CancellablePromise.scheduler_ = scheduler;
+};
+
+
+/**
+ * @return {!CancellablePromise.Scheduler} The scheduler used by all Promises.
+ */
+CancellablePromise.getScheduler = function() {
+  return CancellablePromise.scheduler_;
+};
+
+
+/**
+ * The detector that tracks the pending Promises, if any.
+ * @type {LeakDetector}
+ * @private
+ */
+CancellablePromise.leakDetector_ = null;
+
+
+/**
+ * Sets the detector that tracks the Promises created from now on while they
+ * are pending. See {@code LeakDetector#install}.
+ *
+ * @param {LeakDetector} detector The detector, or null to stop tracking.
+ */
+CancellablePromise.setLeakDetector = function(detector) {
+  CancellablePromise.leakDetector_ = detector;
+};
+
+
+/**
+ * @return {LeakDetector} The detector that tracks the pending Promises, if
+ *     any.
+ */
+CancellablePromise.getLeakDetector = function() {
+  return CancellablePromise.leakDetector_;
+};
+
+
+/**
+ * Runs the given callback asynchronously with the current scheduler.
+ *
+ * @param {function(this:THIS)} callback
+ * @param {THIS=} opt_context
+ * @template THIS
+ * @package
+ */
+CancellablePromise.run_ = function(callback, opt_context) {
+  CancellablePromise.scheduler_.run(function() {
+    CancellablePromise.callScheduled_(callback, opt_context);
+  });
+};
+
+
+/**
+ * @return {number} The current time in milliseconds, as seen by the current
+ *     scheduler.
+ * @package
+ */
+CancellablePromise.now_ = function() {
+  var scheduler = CancellablePromise.scheduler_;
+  return scheduler.now ? scheduler.now() : Date.now();
+};
+
+
+/**
+ * Calls the given callback after the given delay, with the timers of the
+ * current scheduler.
+ *
+ * @param {function()} callback
+ * @param {number} ms
+ * @return {!Object} A handle for {@code clearTimeout_}.
+ * @package
+ */
+CancellablePromise.setTimeout_ = function(callback, ms) {
+  var scheduler = CancellablePromise.scheduler_;
+  var scheduled = function() {
+    CancellablePromise.callScheduled_(callback);
+  };
+  var id = scheduler.setTimeout ? scheduler.setTimeout(scheduled, ms) :
+                                  setTimeout(scheduled, ms);
+  return {scheduler: scheduler, id: id};
+};
+
+
+/**
+ * Calls a callback run by the scheduler. Every callback scheduled by Promise
+ * code is called from here, so that the frames of the scheduler, which come
+ * after this one in stack traces, can be skipped when reading trace frames.
+ *
+ * @param {function(this:THIS)} callback
+ * @param {THIS=} opt_context
+ * @template THIS
+ * @private
+ */
+CancellablePromise.callScheduled_ = function(callback, opt_context) {
+  callback.call(opt_context);
+};
+
+
+/**
+ * Clears a timer set with {@code setTimeout_}, with the scheduler that set it.
+ *
+ * @param {Object} timer The handle returned by {@code setTimeout_}, if any.
+ * @package
+ */
+CancellablePromise.clearTimeout_ = function(timer) {
+  if (timer) {
+    if (timer.scheduler.clearTimeout) {
+      timer.scheduler.clearTimeout(timer.id);
+    } else {
+      clearTimeout(timer.id);
+    }
+  }
+};
+
+
 /**
  * The possible internal states for a Promise. These states are not directly
  * observable to external callers.
@@ -283,6 +753,13 @@ CancellablePromise.CallbackEntry_ = function() {
    * @type {boolean}
    */
   this.always = false;
+
+  /**
+   * Whether this entry was added by library code with {@code onSettled_}. It
+   * has no trace frame, so it isn't counted as a step of the trace.
+   * @type {boolean}
+   */
+  this.internal = false;
 };
 
 
@@ -293,6 +770,7 @@ CancellablePromise.CallbackEntry_.prototype.reset = function() {
   this.onRejected = null;
   this.context = null;
   this.always = false;
+  this.internal = false;
 };
 
 
@@ -396,72 +874,46 @@ CancellablePromise.resolveThen_ = function(value, onFulfilled, onRejected) {
   var isThenable =
       CancellablePromise.maybeThen_(value, onFulfilled, onRejected, null);
   if (!isThenable) {
-    async.run(partial(onFulfilled, value));
+    CancellablePromise.run_(partial(onFulfilled, value));
   }
 };
 
 
 /**
- * @param {!Array<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|*)>}
+ * @param {!Iterable<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|*)>}
  *     promises
+ * @param {CancellablePromise.CombinatorOptions=} opt_options
  * @return {!CancellablePromise<TYPE>} A Promise that receives the result of the
  *     first Promise (or Promise-like) input to settle immediately after it
  *     settles.
  * @template TYPE
  */
-CancellablePromise.race = function(promises) {
-  return new CancellablePromise(function(resolve, reject) {
-    if (!promises.length) {
-      resolve(undefined);
-    }
-    for (var i = 0, promise; i < promises.length; i++) {
-      promise = promises[i];
-      CancellablePromise.resolveThen_(promise, resolve, reject);
-    }
-  });
+CancellablePromise.race = function(promises, opt_options) {
+  return CancellablePromise.combine_(
+      promises, CancellablePromise.raceCollector_, opt_options);
 };
 
 
 /**
- * @param {!Array<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|*)>}
+ * @param {!Iterable<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|*)>}
  *     promises
+ * @param {CancellablePromise.CombinatorOptions=} opt_options
  * @return {!CancellablePromise<!Array<TYPE>>} A Promise that receives a list of
  *     every fulfilled value once every input Promise (or Promise-like) is
  *     successfully fulfilled, or is rejected with the first rejection reason
  *     immediately after it is rejected.
  * @template TYPE
  */
-CancellablePromise.all = function(promises) {
-  return new CancellablePromise(function(resolve, reject) {
-    var toFulfill = promises.length;
-    var values = [];
-
-    if (!toFulfill) {
-      resolve(values);
-      return;
-    }
-
-    var onFulfill = function(index, value) {
-      toFulfill--;
-      values[index] = value;
-      if (toFulfill == 0) {
-        resolve(values);
-      }
-    };
-
-    var onReject = function(reason) { reject(reason); };
-
-    for (var i = 0, promise; i < promises.length; i++) {
-      promise = promises[i];
-      CancellablePromise.resolveThen_(promise, partial(onFulfill, i), onReject);
-    }
-  });
+CancellablePromise.all = function(promises, opt_options) {
+  return CancellablePromise.combine_(
+      promises, CancellablePromise.allCollector_, opt_options);
 };
 
 
 /**
- * @param {!Array<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|*)>}
+ * @param {!Iterable<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|*)>}
  *     promises
+ * @param {CancellablePromise.AllSettledOptions=} opt_options
  * @return {!CancellablePromise<!Array<{
  *     fulfilled: boolean,
  *     value: (TYPE|undefined),
@@ -471,74 +923,1090 @@ CancellablePromise.all = function(promises) {
  *         whether an input Promise was fulfilled or rejected. For fulfilled
  *         Promises, the resulting value is stored in the 'value' field. For
  *         rejected Promises, the rejection reason is stored in the 'reason'
- *         field.
+ *         field. With the {@code spec} option, result objects have the shape
+ *         of {@code Promise.allSettled} instead, see
+ *         {@code CancellablePromise.SettledStatus}.
  * @template TYPE
  */
-CancellablePromise.allSettled = function(promises) {
-  return new CancellablePromise(function(resolve, reject) {
-    var toSettle = promises.length;
-    var results = [];
-
-    if (!toSettle) {
-      resolve(results);
-      return;
-    }
+CancellablePromise.allSettled = function(promises, opt_options) {
+  return CancellablePromise.combine_(
+      promises, CancellablePromise.getAllSettledCollector_(opt_options));
+};
 
-    var onSettled = function(index, fulfilled, result) {
-      toSettle--;
-      results[index] = fulfilled ? {fulfilled: true, value: result} :
-                                   {fulfilled: false, reason: result};
-      if (toSettle == 0) {
-        resolve(results);
-      }
-    };
 
-    for (var i = 0, promise; i < promises.length; i++) {
-      promise = promises[i];
-      CancellablePromise.resolveThen_(
-          promise, partial(onSettled, i, true /* fulfilled */),
-          partial(onSettled, i, false /* fulfilled */));
+/**
+ * @param {!Iterable<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|*)>}
+ *     promises
+ * @param {CancellablePromise.CombinatorOptions=} opt_options
+ * @return {!CancellablePromise<TYPE>} A Promise that receives the value of the first
+ *     input to be fulfilled, or is rejected with a list of every rejection
+ *     reason if all inputs are rejected.
+ * @template TYPE
+ */
+CancellablePromise.firstFulfilled = function(promises, opt_options) {
+  return CancellablePromise.combine_(
+      promises, CancellablePromise.firstFulfilledCollector_, opt_options);
+};
+
+
+/**
+ * Like {@code firstFulfilled}, but follows the {@code Promise.any} contract: the
+ * returned Promise is rejected with an {@code AggregateError} listing every
+ * rejection reason if all inputs are rejected, or if there are no inputs. The
+ * inputs still pending once one of them is fulfilled are canceled.
+ *
+ * @param {!Iterable<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|*)>}
+ *     promises
+ * @return {!CancellablePromise<TYPE>} A Promise that receives the value of the
+ *     first input to be fulfilled.
+ * @template TYPE
+ */
+CancellablePromise.any = function(promises) {
+  return CancellablePromise.combine_(
+      promises, CancellablePromise.anyCollector_, {cancelRemaining: true});
+};
+
+
+/**
+ * Like {@code all}, but for an object or a {@code Map} of Promises (or
+ * Promise-like) and values, resolving to the same shape.
+ *
+ * @param {!Object<string, ?(CancellablePromise|Thenable|*)>|
+ *     !Map<KEY, ?(CancellablePromise|Thenable|*)>} promises
+ * @param {CancellablePromise.CombinatorOptions=} opt_options
+ * @return {!CancellablePromise<!Object<string, *>|!Map<KEY, *>>} A Promise
+ *     that receives an object (or a {@code Map}) with the same keys, mapped to
+ *     the fulfilled values, once every input is fulfilled, or is rejected with
+ *     the first rejection reason immediately after it is rejected.
+ * @template KEY
+ */
+CancellablePromise.props = function(promises, opt_options) {
+  return CancellablePromise.combineProps_(
+      promises, CancellablePromise.allCollector_, opt_options);
+};
+
+
+/**
+ * Like {@code allSettled}, but for an object or a {@code Map} of Promises (or
+ * Promise-like) and values, resolving to the same shape.
+ *
+ * @param {!Object<string, ?(CancellablePromise|Thenable|*)>|
+ *     !Map<KEY, ?(CancellablePromise|Thenable|*)>} promises
+ * @param {CancellablePromise.AllSettledOptions=} opt_options
+ * @return {!CancellablePromise<!Object<string, !Object>|!Map<KEY, !Object>>}
+ *     A Promise that receives an object (or a {@code Map}) with the same keys,
+ *     mapped to the result objects described in {@code allSettled}, once every
+ *     input has settled.
+ * @template KEY
+ */
+CancellablePromise.propsSettled = function(promises, opt_options) {
+  return CancellablePromise.combineProps_(
+      promises, CancellablePromise.getAllSettledCollector_(opt_options));
+};
+
+
+/**
+ * Like {@code race}, but consumes an async iterable (or iterable) lazily. Each
+ * input is raced as soon as the iterable produces it, and no further input is
+ * requested once the result is settled.
+ *
+ * @param {!AsyncIterable<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|*)>}
+ *     promises
+ * @param {CancellablePromise.CombinatorOptions=} opt_options
+ * @return {!CancellablePromise<TYPE>}
+ * @template TYPE
+ */
+CancellablePromise.raceAsync = function(promises, opt_options) {
+  return CancellablePromise.combineAsync_(
+      promises, CancellablePromise.raceCollector_, opt_options);
+};
+
+
+/**
+ * Like {@code all}, but consumes an async iterable (or iterable) lazily. The
+ * values are listed in the order in which the iterable produced the inputs.
+ *
+ * @param {!AsyncIterable<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|*)>}
+ *     promises
+ * @param {CancellablePromise.CombinatorOptions=} opt_options
+ * @return {!CancellablePromise<!Array<TYPE>>}
+ * @template TYPE
+ */
+CancellablePromise.allAsync = function(promises, opt_options) {
+  return CancellablePromise.combineAsync_(
+      promises, CancellablePromise.allCollector_, opt_options);
+};
+
+
+/**
+ * Like {@code allSettled}, but consumes an async iterable (or iterable) lazily.
+ * The results are listed in the order in which the iterable produced the
+ * inputs.
+ *
+ * @param {!AsyncIterable<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|*)>}
+ *     promises
+ * @param {CancellablePromise.AllSettledOptions=} opt_options
+ * @return {!CancellablePromise<!Array<{
+ *     fulfilled: boolean,
+ *     value: (TYPE|undefined),
+ *     reason: (*|undefined)}>>}
+ * @template TYPE
+ */
+CancellablePromise.allSettledAsync = function(promises, opt_options) {
+  return CancellablePromise.combineAsync_(
+      promises, CancellablePromise.getAllSettledCollector_(opt_options));
+};
+
+
+/**
+ * Like {@code firstFulfilled}, but consumes an async iterable (or iterable)
+ * lazily. No further input is requested once an input is fulfilled.
+ *
+ * @param {!AsyncIterable<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|*)>}
+ *     promises
+ * @param {CancellablePromise.CombinatorOptions=} opt_options
+ * @return {!CancellablePromise<TYPE>}
+ * @template TYPE
+ */
+CancellablePromise.firstFulfilledAsync = function(promises, opt_options) {
+  return CancellablePromise.combineAsync_(
+      promises, CancellablePromise.firstFulfilledCollector_, opt_options);
+};
+
+
+/**
+ * Like {@code any}, but consumes an async iterable (or iterable) lazily. No
+ * further input is requested once an input is fulfilled.
+ *
+ * @param {!AsyncIterable<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|*)>}
+ *     promises
+ * @return {!CancellablePromise<TYPE>}
+ * @template TYPE
+ */
+CancellablePromise.anyAsync = function(promises) {
+  return CancellablePromise.combineAsync_(
+      promises, CancellablePromise.anyCollector_, {cancelRemaining: true});
+};
+
+
+/**
+ * Receives the inputs of a combinator one at a time, and settles the combined
+ * Promise once it has enough of them. {@code add} is called with the position
+ * and the value of each input, in order, and {@code close} with the number of
+ * inputs once there are no more.
+ *
+ * @typedef {{
+ *     add: function(number, ?(CancellablePromise|Thenable|*)),
+ *     close: function(number)
+ * }}
+ * @private
+ */
+CancellablePromise.Collector_;
+
+
+/**
+ * Creates the Promise returned by a combinator, passing every value of an
+ * iterable to the collector.
+ *
+ * @param {!Iterable<?(CancellablePromise|Thenable|*)>} promises
+ * @param {function(function(*), function(*)): CancellablePromise.Collector_}
+ *     createCollector A function that creates the collector from the resolve
+ *     and reject functions of the combined Promise.
+ * @param {CancellablePromise.CombinatorOptions=} opt_options
+ * @return {!CancellablePromise}
+ * @private
+ */
+CancellablePromise.combine_ = function(promises, createCollector, opt_options) {
+  var inputs;
+  try {
+    inputs = CancellablePromise.toArray_(promises);
+  } catch (e) {
+    return CancellablePromise.reject(e);
+  }
+
+  var combined = new CancellablePromise(function(resolve, reject) {
+    var collector = createCollector(resolve, reject);
+    for (var i = 0; i < inputs.length; i++) {
+      collector.add(i, inputs[i]);
+    }
+    collector.close(inputs.length);
+  });
+  return combined.linkInputs_(inputs, opt_options);
+};
+
+
+/**
+ * Creates the Promise returned by a combinator for the values of an object or a
+ * {@code Map}, resolving it to an object or {@code Map} with the same keys
+ * instead of to a list.
+ *
+ * @param {!Object<string, ?(CancellablePromise|Thenable|*)>|
+ *     !Map<?, ?(CancellablePromise|Thenable|*)>} promises
+ * @param {function(function(*), function(*)): CancellablePromise.Collector_}
+ *     createCollector A function that creates the collector for a list, as in
+ *     {@code combine_}.
+ * @param {CancellablePromise.CombinatorOptions=} opt_options
+ * @return {!CancellablePromise}
+ * @private
+ */
+CancellablePromise.combineProps_ = function(
+    promises, createCollector, opt_options) {
+  if (!isObject(promises)) {
+    return CancellablePromise.reject(
+        new TypeError(promises + ' is not an object or a Map'));
+  }
+
+  var isMap = typeof Map == 'function' && promises instanceof Map;
+  var keys = isMap ? Array.from(promises.keys()) : Object.keys(promises);
+  var values = keys.map(function(key) {
+    return isMap ? promises.get(key) : promises[key];
+  });
+
+  return CancellablePromise.combine_(values, function(resolve, reject) {
+    return createCollector(function(results) {
+      var shaped = isMap ? new Map() : {};
+      for (var i = 0; i < keys.length; i++) {
+        if (isMap) {
+          shaped.set(keys[i], results[i]);
+        } else {
+          shaped[keys[i]] = results[i];
+        }
+      }
+      resolve(shaped);
+    }, reject);
+  }, opt_options);
+};
+
+
+/**
+ * Creates the Promise returned by a combinator, passing the values of an async
+ * iterable to the collector as they are produced. The next value is only
+ * requested once the previous one has been produced, and the iteration is
+ * stopped once the combined Promise is settled.
+ *
+ * @param {!AsyncIterable<?(CancellablePromise|Thenable|*)>} promises
+ * @param {function(function(*), function(*)): CancellablePromise.Collector_}
+ *     createCollector
+ * @param {CancellablePromise.CombinatorOptions=} opt_options
+ * @return {!CancellablePromise}
+ * @private
+ */
+CancellablePromise.combineAsync_ = function(
+    promises, createCollector, opt_options) {
+  var iterator;
+  try {
+    iterator = CancellablePromise.getAsyncIterator_(promises);
+  } catch (e) {
+    return CancellablePromise.reject(e);
+  }
+
+  var inputs = [];
+  var exhausted = false;
+  var combined = new CancellablePromise(function(resolve, reject) {
+    var collector = createCollector(resolve, reject);
+
+    var next = function() {
+      // The combined Promise is only assigned once the first value has been
+      // requested.
+      if (combined && combined.state_ != CancellablePromise.State_.PENDING) {
+        return;
+      }
+      var step;
+      try {
+        step = iterator.next();
+      } catch (e) {
+        exhausted = true;
+        reject(e);
+        return;
+      }
+      CancellablePromise.resolveThen_(step, function(result) {
+        if (result.done) {
+          exhausted = true;
+          collector.close(inputs.length);
+        } else {
+          collector.add(inputs.push(result.value) - 1, result.value);
+          next();
+        }
+      }, function(reason) {
+        exhausted = true;
+        reject(reason);
+      });
+    };
+
+    next();
+  });
+
+  combined.onSettled_(function() {
+    if (!exhausted && isFunction(iterator['return'])) {
+      exhausted = true;
+      iterator['return']();
+    }
+  });
+  return combined.linkInputs_(inputs, opt_options);
+};
+
+
+/**
+ * @param {!AsyncIterable<TYPE>|!Iterable<TYPE>} iterable
+ * @return {!AsyncIterator<TYPE>|!Iterator<TYPE>} An iterator over the values
+ *     of the given async iterable, or of the given iterable.
+ * @throws {TypeError} If the given value is not (async) iterable.
+ * @template TYPE
+ * @private
+ */
+CancellablePromise.getAsyncIterator_ = function(iterable) {
+  var method = iterable != null && ((Symbol.asyncIterator &&
+      iterable[Symbol.asyncIterator]) || iterable[Symbol.iterator]);
+  if (!isFunction(method)) {
+    throw new TypeError(iterable + ' is not async iterable');
+  }
+  return method.call(iterable);
+};
+
+
+/**
+ * @param {!Iterable<TYPE>} iterable
+ * @return {!Array<TYPE>} The given value if it is an array, or a new array with
+ *     the values of the iterable.
+ * @throws {TypeError} If the given value is not iterable.
+ * @template TYPE
+ * @private
+ */
+CancellablePromise.toArray_ = function(iterable) {
+  if (Array.isArray(iterable)) {
+    return iterable;
+  }
+  if (iterable == null || !isFunction(iterable[Symbol.iterator])) {
+    throw new TypeError(iterable + ' is not iterable');
+  }
+  return Array.from(iterable);
+};
+
+
+/**
+ * @param {function(*)} resolve
+ * @param {function(*)} reject
+ * @return {!CancellablePromise.Collector_} A collector that settles with the
+ *     first input to settle.
+ * @private
+ */
+CancellablePromise.raceCollector_ = function(resolve, reject) {
+  return {
+    add: function(index, promise) {
+      CancellablePromise.resolveThen_(promise, resolve, reject);
+    },
+    close: function(count) {
+      if (!count) {
+        resolve(undefined);
+      }
+    }
+  };
+};
+
+
+/**
+ * @param {function(*)} resolve
+ * @param {function(*)} reject
+ * @return {!CancellablePromise.Collector_} A collector that fulfills with the
+ *     list of values once every input is fulfilled.
+ * @private
+ */
+CancellablePromise.allCollector_ = function(resolve, reject) {
+  var toFulfill = 0;
+  var closed = false;
+  var values = [];
+
+  var onFulfill = function(index, value) {
+    toFulfill--;
+    values[index] = value;
+    if (closed && toFulfill == 0) {
+      resolve(values);
+    }
+  };
+
+  var onReject = function(reason) { reject(reason); };
+
+  return {
+    add: function(index, promise) {
+      toFulfill++;
+      CancellablePromise.resolveThen_(promise, partial(onFulfill, index), onReject);
+    },
+    close: function() {
+      closed = true;
+      if (toFulfill == 0) {
+        resolve(values);
+      }
+    }
+  };
+};
+
+
+/**
+ * @param {CancellablePromise.AllSettledOptions=} opt_options
+ * @return {function(function(*), function(*)): CancellablePromise.Collector_}
+ *     The collector factory for {@code allSettled} with the given options.
+ * @private
+ */
+CancellablePromise.getAllSettledCollector_ = function(opt_options) {
+  var toResult = opt_options && opt_options.spec ?
+      CancellablePromise.toSpecSettledResult_ :
+      CancellablePromise.toSettledResult_;
+  return partial(CancellablePromise.allSettledCollector_, toResult);
+};
+
+
+/**
+ * @param {boolean} fulfilled
+ * @param {*} result The value or rejection reason of the input.
+ * @return {{fulfilled: boolean, value: *, reason: *}} The result object used
+ *     by {@code allSettled} by default.
+ * @private
+ */
+CancellablePromise.toSettledResult_ = function(fulfilled, result) {
+  return fulfilled ? {fulfilled: true, value: result} :
+                     {fulfilled: false, reason: result};
+};
+
+
+/**
+ * @param {boolean} fulfilled
+ * @param {*} result The value or rejection reason of the input.
+ * @return {{status: CancellablePromise.SettledStatus, value: *, reason: *}}
+ *     The result object used by {@code allSettled} with the {@code spec}
+ *     option.
+ * @private
+ */
+CancellablePromise.toSpecSettledResult_ = function(fulfilled, result) {
+  if (fulfilled) {
+    return {status: CancellablePromise.SettledStatus.FULFILLED, value: result};
+  }
+  var cancelled = !!(result && result.IS_CANCELLATION_ERROR);
+  return {
+    status: cancelled ? CancellablePromise.SettledStatus.CANCELLED :
+                        CancellablePromise.SettledStatus.REJECTED,
+    reason: result
+  };
+};
+
+
+/**
+ * @param {function(boolean, *): !Object} toResult Creates the result object
+ *     of an input from whether it was fulfilled and its value or reason.
+ * @param {function(*)} resolve
+ * @param {function(*)} reject
+ * @return {!CancellablePromise.Collector_} A collector that fulfills with the
+ *     list of result objects once every input is settled.
+ * @private
+ */
+CancellablePromise.allSettledCollector_ = function(toResult, resolve, reject) {
+  var toSettle = 0;
+  var closed = false;
+  var results = [];
+
+  var onSettled = function(index, fulfilled, result) {
+    toSettle--;
+    results[index] = toResult(fulfilled, result);
+    if (closed && toSettle == 0) {
+      resolve(results);
     }
+  };
+
+  return {
+    add: function(index, promise) {
+      toSettle++;
+      CancellablePromise.resolveThen_(
+          promise, partial(onSettled, index, true /* fulfilled */),
+          partial(onSettled, index, false /* fulfilled */));
+    },
+    close: function() {
+      closed = true;
+      if (toSettle == 0) {
+        resolve(results);
+      }
+    }
+  };
+};
+
+
+/**
+ * @param {function(*)} resolve
+ * @param {function(*)} reject
+ * @return {!CancellablePromise.Collector_} A collector that fulfills with the
+ *     first input to be fulfilled, or rejects with the list of reasons once
+ *     every input is rejected.
+ * @private
+ */
+CancellablePromise.firstFulfilledCollector_ = function(resolve, reject) {
+  var toReject = 0;
+  var closed = false;
+  var reasons = [];
+
+  var onFulfill = function(value) { resolve(value); };
+
+  var onReject = function(index, reason) {
+    toReject--;
+    reasons[index] = reason;
+    if (closed && toReject == 0) {
+      reject(reasons);
+    }
+  };
+
+  return {
+    add: function(index, promise) {
+      toReject++;
+      CancellablePromise.resolveThen_(promise, onFulfill, partial(onReject, index));
+    },
+    close: function(count) {
+      closed = true;
+      if (!count) {
+        resolve(undefined);
+      } else if (toReject == 0) {
+        reject(reasons);
+      }
+    }
+  };
+};
+
+
+/**
+ * @param {function(*)} resolve
+ * @param {function(*)} reject
+ * @return {!CancellablePromise.Collector_} A collector that fulfills with the
+ *     first input to be fulfilled, or rejects with an {@code AggregateError}
+ *     once every input is rejected.
+ * @private
+ */
+CancellablePromise.anyCollector_ = function(resolve, reject) {
+  var rejectAll = function(reasons) {
+    reject(new CancellablePromise.AggregateError(
+        reasons, 'All promises were rejected'));
+  };
+  var collector =
+      CancellablePromise.firstFulfilledCollector_(resolve, rejectAll);
+
+  return {
+    add: collector.add,
+    close: function(count) {
+      if (count) {
+        collector.close(count);
+      } else {
+        rejectAll([]);
+      }
+    }
+  };
+};
+
+
+/**
+ * Options accepted by the combinators that settle before all of their inputs
+ * do ({@code all}, {@code race} and {@code firstFulfilled}).
+ *
+ * cancelRemaining: Whether to cancel the inputs that are still pending once
+ *     the result is settled, such as the losers of a race. Canceling the
+ *     combined Promise then also cancels all of its pending inputs, whatever
+ *     its cancel policy.
+ *
+ * @typedef {{cancelRemaining: (boolean|undefined)}}
+ */
+CancellablePromise.CombinatorOptions;
+
+
+/**
+ * Options accepted by {@code allSettled}.
+ *
+ * spec: Whether to resolve with result objects shaped like the ones of
+ *     {@code Promise.allSettled}, that is {@code {status, value}} or
+ *     {@code {status, reason}}, instead of {@code {fulfilled, value}} or
+ *     {@code {fulfilled, reason}}.
+ *
+ * @typedef {{spec: (boolean|undefined)}}
+ */
+CancellablePromise.AllSettledOptions;
+
+
+/**
+ * The statuses of the result objects resolved by {@code allSettled} with the
+ * {@code spec} option.
+ * @enum {string}
+ */
+CancellablePromise.SettledStatus = {
+  FULFILLED: 'fulfilled',
+  REJECTED: 'rejected',
+
+  /**
+   * The input was rejected with a cancellation error. The error is stored in
+   * the 'reason' field, like for rejected inputs.
+   */
+  CANCELLED: 'cancelled'
+};
+
+
+/**
+ * Links the cancellation of a Promise created by a combinator to its inputs.
+ * Once the Promise is canceled, its pending inputs are canceled as allowed by
+ * its cancel policy at that time, or all of them with the
+ * {@code cancelRemaining} option.
+ *
+ * @param {!Array<?(CancellablePromise|Thenable|*)>} inputs
+ * @param {CancellablePromise.CombinatorOptions=} opt_options
+ * @return {!CancellablePromise<TYPE>} This Promise.
+ * @private
+ */
+CancellablePromise.prototype.linkInputs_ = function(inputs, opt_options) {
+  var self = this;
+  var cancelRemaining = !!(opt_options && opt_options.cancelRemaining);
+
+  if (cancelRemaining) {
+    this.onSettled_(function() {
+      for (var i = 0; i < inputs.length; i++) {
+        if (inputs[i] instanceof CancellablePromise) {
+          inputs[i].cancel('The combined Promise has been settled');
+        }
+      }
+    });
+  }
+
+  return this.onCancel(function(err) {
+    var policy = cancelRemaining ? CancellablePromise.CancelPolicy.SUBTREE :
+                                   self.getCancelPolicy();
+    var cleanup = [];
+    if (policy != CancellablePromise.CancelPolicy.NEVER) {
+      for (var i = 0, input; i < inputs.length; i++) {
+        input = inputs[i];
+        if (input instanceof CancellablePromise &&
+            (policy == CancellablePromise.CancelPolicy.SUBTREE ||
+             input.getChildCount_() <= 1)) {
+          cleanup = cleanup.concat(input.cancelInternal_(err));
+        }
+      }
+    }
+    return CancellablePromise.all(cleanup);
+  });
+};
+
+
+/**
+ * Options accepted by {@code map} and the other collection methods.
+ *
+ * concurrency: The maximum number of mapper Promises pending at once, which
+ *     should be a positive number. There is no limit by default.
+ * cancelRemaining: Whether to cancel the mapper Promises that are still pending
+ *     once the result is rejected. Canceling the result then also cancels all
+ *     of its pending mapper Promises, whatever its cancel policy.
+ *
+ * @typedef {{
+ *     concurrency: (number|undefined),
+ *     cancelRemaining: (boolean|undefined)}}
+ */
+CancellablePromise.MapOptions;
+
+
+/**
+ * Maps every value of an iterable with the given function, which may return a
+ * Promise (or Promise-like). Input values that are Promises are waited for
+ * before being passed to the mapper. No more than {@code concurrency} mapper
+ * Promises are pending at once.
+ *
+ * Once the result is canceled, the mapper Promises in flight are canceled as
+ * with {@code all}, and no further value is mapped.
+ *
+ * @param {!Iterable<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|TYPE)>}
+ *     values
+ * @param {function(TYPE, number): ?(CancellablePromise<RESULT>|Thenable|RESULT)}
+ *     mapper Called with each value and its index.
+ * @param {CancellablePromise.MapOptions=} opt_options
+ * @return {!CancellablePromise<!Array<RESULT>>} A Promise that receives the
+ *     mapped values in the order of the input, or is rejected with the first
+ *     rejection reason.
+ * @template TYPE,RESULT
+ */
+CancellablePromise.map = function(values, mapper, opt_options) {
+  var inputs;
+  try {
+    inputs = CancellablePromise.toArray_(values);
+  } catch (e) {
+    return CancellablePromise.reject(e);
+  }
+
+  var concurrency = opt_options ? opt_options.concurrency : undefined;
+  if (!isDef(concurrency)) {
+    concurrency = Infinity;
+  } else if (!(typeof concurrency == 'number' && concurrency > 0)) {
+    return CancellablePromise.reject(new TypeError(
+        'The concurrency should be a positive number, got ' + concurrency));
+  }
+  var mapped = [];
+  var result = new CancellablePromise(function(resolve, reject, onCancel) {
+    var results = [];
+    var started = 0;
+    var pending = 0;
+    var stopped = false;
+
+    var onReject = function(reason) {
+      stopped = true;
+      reject(reason);
+    };
+
+    var onFulfill = function(index, value) {
+      pending--;
+      results[index] = value;
+      startNext();
+    };
+
+    var onValue = function(index, value) {
+      var promise;
+      try {
+        promise = mapper(value, index);
+      } catch (e) {
+        onReject(e);
+        return;
+      }
+      mapped.push(promise);
+      CancellablePromise.resolveThen_(
+          promise, partial(onFulfill, index), onReject);
+    };
+
+    var startNext = function() {
+      if (stopped) {
+        return;
+      }
+      if (started == inputs.length && pending == 0) {
+        resolve(results);
+        return;
+      }
+      while (started < inputs.length && pending < concurrency) {
+        pending++;
+        CancellablePromise.resolveThen_(
+            inputs[started], partial(onValue, started++), onReject);
+      }
+    };
+
+    onCancel(function() {
+      stopped = true;
+    });
+    startNext();
+  });
+  return result.linkInputs_(mapped, opt_options);
+};
+
+
+/**
+ * Like {@code map}, but maps one value at a time.
+ *
+ * @param {!Iterable<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|TYPE)>}
+ *     values
+ * @param {function(TYPE, number): ?(CancellablePromise<RESULT>|Thenable|RESULT)}
+ *     mapper Called with each value and its index.
+ * @return {!CancellablePromise<!Array<RESULT>>}
+ * @template TYPE,RESULT
+ */
+CancellablePromise.mapSeries = function(values, mapper) {
+  return CancellablePromise.map(values, mapper, {concurrency: 1});
+};
+
+
+/**
+ * Calls the given function with each value of an iterable, one at a time,
+ * waiting for the Promise (or Promise-like) it may return before moving on to
+ * the next value.
+ *
+ * @param {!Iterable<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|TYPE)>}
+ *     values
+ * @param {function(TYPE, number): *} iterator Called with each value and its
+ *     index.
+ * @return {!CancellablePromise<!Array<TYPE>>} A Promise that receives the input
+ *     values once the iteration is done.
+ * @template TYPE
+ */
+CancellablePromise.each = function(values, iterator) {
+  return CancellablePromise.mapSeries(values, function(value, index) {
+    return CancellablePromise.resolve(iterator(value, index)).then(function() {
+      return value;
+    });
   });
 };
 
 
 /**
- * @param {!Array<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|*)>}
- *     promises
- * @return {!CancellablePromise<TYPE>} A Promise that receives the value of the first
- *     input to be fulfilled, or is rejected with a list of every rejection
- *     reason if all inputs are rejected.
+ * Filters the values of an iterable with the given predicate, which may return
+ * a Promise (or Promise-like) for a boolean.
+ *
+ * @param {!Iterable<?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|TYPE)>}
+ *     values
+ * @param {function(TYPE, number): ?(CancellablePromise<boolean>|Thenable|boolean)}
+ *     predicate Called with each value and its index.
+ * @param {CancellablePromise.MapOptions=} opt_options
+ * @return {!CancellablePromise<!Array<TYPE>>} A Promise that receives the
+ *     values the predicate was fulfilled with a truthy value for, in the order
+ *     of the input.
  * @template TYPE
  */
-CancellablePromise.firstFulfilled = function(promises) {
-  return new CancellablePromise(function(resolve, reject) {
-    var toReject = promises.length;
-    var reasons = [];
+CancellablePromise.filter = function(values, predicate, opt_options) {
+  return CancellablePromise.map(values, function(value, index) {
+    return CancellablePromise.resolve(predicate(value, index)).then(function(keep) {
+      return {keep: keep, value: value};
+    });
+  }, opt_options).then(function(results) {
+    return results.filter(function(result) {
+      return result.keep;
+    }).map(function(result) {
+      return result.value;
+    });
+  });
+};
 
-    if (!toReject) {
-      resolve(undefined);
-      return;
-    }
 
-    var onFulfill = function(value) { resolve(value); };
+/**
+ * Strategies for computing the delay between the attempts of {@code retry}.
+ * @enum {string}
+ */
+CancellablePromise.Backoff = {
+  /** Waits for {@code delay} between attempts. */
+  FIXED: 'fixed',
 
-    var onReject = function(index, reason) {
-      toReject--;
-      reasons[index] = reason;
-      if (toReject == 0) {
-        reject(reasons);
+  /** Multiplies the delay by {@code factor} after each attempt. */
+  EXPONENTIAL: 'exponential',
+
+  /**
+   * Like {@code EXPONENTIAL}, but waits for a random time between zero and
+   * the exponential delay, so that concurrent clients don't retry in sync.
+   */
+  JITTER: 'jitter'
+};
+
+
+/**
+ * Options accepted by {@code retry}.
+ *
+ * attempts: The maximum number of attempts, a positive integer, 3 by default.
+ * backoff: How the delay between attempts grows, {@code FIXED} by default.
+ * delay: The delay before the second attempt in milliseconds, 0 by default.
+ * factor: The multiplier of the exponential backoffs, 2 by default.
+ * maxDelay: The maximum delay between attempts in milliseconds.
+ * shouldRetry: Called with the rejection reason and the number of the failed
+ *     attempt, starting at 1. No further attempt is made if it returns false.
+ * deadline: A date or a timestamp in milliseconds after which no further
+ *     attempt is made, and the attempt in flight is rejected with a
+ *     {@code TimeoutError}.
+ *
+ * @typedef {{
+ *     attempts: (number|undefined),
+ *     backoff: (CancellablePromise.Backoff|undefined),
+ *     delay: (number|undefined),
+ *     factor: (number|undefined),
+ *     maxDelay: (number|undefined),
+ *     shouldRetry: (function(*, number): boolean|undefined),
+ *     deadline: (!Date|number|undefined)}}
+ */
+CancellablePromise.RetryOptions;
+
+
+/**
+ * Calls the given factory until the Promise (or Promise-like) it returns is
+ * fulfilled, waiting between attempts as configured by the options. Attempts
+ * rejected with a cancel error are never retried, and the returned Promise is
+ * rejected with that error.
+ *
+ * Canceling the returned Promise cancels the attempt in flight, or clears the
+ * timer of the pending delay between attempts.
+ *
+ * @param {function(number): ?(CancellablePromise<TYPE>|Thenable<TYPE>|TYPE)}
+ *     factory Called with the number of the attempt, starting at 1.
+ * @param {CancellablePromise.RetryOptions=} opt_options
+ * @return {!CancellablePromise<TYPE>} A Promise that receives the value of the
+ *     first fulfilled attempt, or is rejected with an {@code AggregateError}
+ *     listing the rejection reasons of every attempt.
+ * @template TYPE
+ */
+CancellablePromise.retry = function(factory, opt_options) {
+  var options = opt_options || {};
+  var attempts = options.attempts;
+  if (!isDef(attempts)) {
+    attempts = 3;
+  } else if (!(typeof attempts == 'number' && attempts > 0 &&
+               attempts % 1 == 0)) {
+    return CancellablePromise.reject(new TypeError(
+        'The attempts should be a positive integer, got ' + attempts));
+  }
+  var deadline = isDef(options.deadline) ? Number(options.deadline) : Infinity;
+  var errors = [];
+  var current = null;
+  var stopped = false;
+
+  return new CancellablePromise(function(resolve, reject, onCancel) {
+    var onRejected = function(attempt, reason) {
+      if (stopped) {
+        return;
+      }
+      if (reason && reason.IS_CANCELLATION_ERROR) {
+        stopped = true;
+        reject(reason);
+        return;
+      }
+      errors.push(reason);
+
+      var retry;
+      var delay = CancellablePromise.getRetryDelay_(options, attempt);
+      try {
+        retry = attempt < attempts &&
+            CancellablePromise.now_() + delay < deadline &&
+            (!options.shouldRetry || !!options.shouldRetry(reason, attempt));
+      } catch (e) {
+        reject(e);
+        return;
+      }
+
+      if (retry) {
+        current = CancellablePromise.delay(delay);
+        current.thenVoid(partial(run, attempt + 1));
+      } else {
+        reject(new CancellablePromise.AggregateError(
+            errors, 'All ' + errors.length + ' attempts failed'));
       }
     };
 
-    for (var i = 0, promise; i < promises.length; i++) {
-      promise = promises[i];
-      CancellablePromise.resolveThen_(promise, onFulfill, partial(onReject, i));
-    }
+    var run = function(attempt) {
+      if (stopped) {
+        return;
+      }
+      try {
+        current = CancellablePromise.resolve(factory(attempt));
+      } catch (e) {
+        onRejected(attempt, e);
+        return;
+      }
+      if (deadline < Infinity) {
+        current = current.timeout(
+            Math.max(0, deadline - CancellablePromise.now_()),
+            'The deadline of the retried Promise has passed');
+      }
+      current.thenVoid(resolve, partial(onRejected, attempt));
+    };
+
+    onCancel(function(err) {
+      stopped = true;
+      return CancellablePromise.all(current.cancelInternal_(err));
+    });
+    run(1);
+  });
+};
+
+
+/**
+ * @param {!CancellablePromise.RetryOptions} options
+ * @param {number} attempt The number of the failed attempt, starting at 1.
+ * @return {number} The delay before the next attempt, in milliseconds.
+ * @private
+ */
+CancellablePromise.getRetryDelay_ = function(options, attempt) {
+  var backoff = options.backoff || CancellablePromise.Backoff.FIXED;
+  var delay = options.delay || 0;
+  if (backoff != CancellablePromise.Backoff.FIXED) {
+    delay *= Math.pow(options.factor || 2, attempt - 1);
+  }
+  if (isDef(options.maxDelay)) {
+    delay = Math.min(delay, options.maxDelay);
+  }
+  if (backoff == CancellablePromise.Backoff.JITTER) {
+    delay *= Math.random();
+  }
+  return delay;
+};
+
+
+/**
+ * Creates a Promise that is canceled when the given {@code AbortSignal} is
+ * aborted. If the signal has already been aborted, the Promise is canceled
+ * right away. The abort listener is removed once the Promise is settled.
+ *
+ * @param {function(
+ *             this:RESOLVER_CONTEXT,
+ *             function((TYPE|IThenable<TYPE>|Thenable)=),
+ *             function(*=)): void} resolver
+ *     Initialization function, as in the {@code CancellablePromise}
+ *     constructor.
+ * @param {!AbortSignal} signal The signal that cancels the Promise.
+ * @param {RESOLVER_CONTEXT=} opt_context An optional context for executing the
+ *     resolver function.
+ * @return {!CancellablePromise<TYPE>}
+ * @template TYPE,RESOLVER_CONTEXT
+ */
+CancellablePromise.fromSignal = function(resolver, signal, opt_context) {
+  var promise = new CancellablePromise(resolver, opt_context);
+
+  if (signal.aborted) {
+    promise.cancel(CancellablePromise.getAbortMessage_(signal));
+    return promise;
+  }
+
+  var onAbort = function() {
+    promise.cancel(CancellablePromise.getAbortMessage_(signal));
+  };
+  signal.addEventListener('abort', onAbort);
+  promise.onSettled_(function() {
+    signal.removeEventListener('abort', onAbort);
+  });
+  return promise;
+};
+
+
+/**
+ * @param {!AbortSignal} signal An aborted signal.
+ * @return {string|undefined} The message describing why the signal was
+ *     aborted, if any.
+ * @private
+ */
+CancellablePromise.getAbortMessage_ = function(signal) {
+  var reason = signal.reason;
+  if (isString(reason)) {
+    return reason;
+  }
+  return reason && isString(reason.message) ? reason.message : undefined;
+};
+
+
+/**
+ * Creates a Promise that is fulfilled with the given value once the given
+ * amount of time has passed. The timer is cleared if the Promise is canceled
+ * before then.
+ *
+ * @param {number} ms The time to wait for, in milliseconds.
+ * @param {?(TYPE|CancellablePromise<TYPE>|Thenable)=} opt_value
+ * @return {!CancellablePromise<TYPE>}
+ * @template TYPE
+ */
+CancellablePromise.delay = function(ms, opt_value) {
+  return new CancellablePromise(function(resolve, reject, onCancel) {
+    var timer = CancellablePromise.setTimeout_(function() {
+      resolve(opt_value);
+    }, ms);
+    onCancel(function() {
+      CancellablePromise.clearTimeout_(timer);
+    });
   });
 };
 
 
+/**
+ * Like {@code timeout}, but for a point in time rather than an amount of time.
+ * The returned Promise is rejected with a {@code TimeoutError} once the
+ * deadline has passed, and the given Promise is canceled as with
+ * {@code timeout}.
+ *
+ * @param {?(CancellablePromise<TYPE>|Thenable<TYPE>|Thenable|TYPE)} promise
+ * @param {!Date|number} deadline The deadline, as a date or a timestamp in
+ *     milliseconds.
+ * @param {string=} opt_message An optional message for the timeout error.
+ * @return {!CancellablePromise<TYPE>}
+ * @template TYPE
+ */
+CancellablePromise.withDeadline = function(promise, deadline, opt_message) {
+  var ms = Math.max(0, Number(deadline) - CancellablePromise.now_());
+  return CancellablePromise.resolve(promise).timeout(
+      ms, opt_message || 'The deadline of the Promise has passed');
+};
+
+
 /**
  * @return {!CancellablePromise.Resolver<TYPE>} Resolver wrapping the promise and its
  *     resolve / reject functions. Resolving or rejecting the resolver
@@ -573,7 +2041,7 @@ CancellablePromise.withResolver = function() {
 CancellablePromise.prototype.then = function(
     opt_onFulfilled, opt_onRejected, opt_context) {
 
-  if (CancellablePromise.LONG_STACK_TRACES) {
+  if (this.hasLongStackTraces_()) {
     this.addStackTrace_(new Error('then'));
   }
 
@@ -608,7 +2076,7 @@ Thenable.addImplementation(CancellablePromise);
 CancellablePromise.prototype.thenVoid = function(
     opt_onFulfilled, opt_onRejected, opt_context) {
 
-  if (CancellablePromise.LONG_STACK_TRACES) {
+  if (this.hasLongStackTraces_()) {
     this.addStackTrace_(new Error('then'));
   }
 
@@ -645,7 +2113,7 @@ CancellablePromise.prototype.thenVoid = function(
  * @template THIS
  */
 CancellablePromise.prototype.thenAlways = function(onSettled, opt_context) {
-  if (CancellablePromise.LONG_STACK_TRACES) {
+  if (this.hasLongStackTraces_()) {
     this.addStackTrace_(new Error('thenAlways'));
   }
 
@@ -656,6 +2124,32 @@ CancellablePromise.prototype.thenAlways = function(onSettled, opt_context) {
 };
 
 
+/**
+ * Adds a callback that will be invoked when the Promise is settled, like
+ * {@code thenAlways}, for library code. No trace frame is recorded for it, as
+ * it wasn't added by the user.
+ *
+ * @param {function(this:THIS):void} onSettled A function that will be invoked
+ *     when the Promise is settled.
+ * @param {THIS=} opt_context An optional context object that will be the
+ *     execution context for the callback.
+ * @package
+ * @template THIS
+ */
+CancellablePromise.prototype.onSettled_ = function(onSettled, opt_context) {
+  var entry = CancellablePromise.getCallbackEntry_(onSettled, onSettled, opt_context);
+  entry.always = true;
+  entry.internal = true;
+  // The leak detector only reports the Promises that had callbacks of the user.
+  var record = this.leakRecord_;
+  var hasCallbacks = record && record.hasCallbacks;
+  this.addCallbackEntry_(entry);
+  if (record) {
+    record.hasCallbacks = hasCallbacks;
+  }
+};
+
+
 /**
  * Adds a callback that will be invoked only if the Promise is rejected. This
  * is equivalent to {@code then(null, onRejected)}.
@@ -670,7 +2164,7 @@ CancellablePromise.prototype.thenAlways = function(onSettled, opt_context) {
  * @template THIS
  */
 CancellablePromise.prototype.thenCatch = function(onRejected, opt_context) {
-  if (CancellablePromise.LONG_STACK_TRACES) {
+  if (this.hasLongStackTraces_()) {
     this.addStackTrace_(new Error('thenCatch'));
   }
   return this.addChildPromise_(null, onRejected, opt_context);
@@ -690,17 +2184,265 @@ CancellablePromise.prototype.catch = CancellablePromise.prototype.thenCatch;
  * cancel error, as with normal Promise rejection. If the Promise to be canceled
  * is the only child of a pending Promise, the parent Promise will also be
  * canceled. Cancellation may propagate upward through multiple generations.
+ * How cancellation propagates can be changed with {@code setCancelPolicy}.
  *
  * @param {string=} opt_message An optional debugging message for describing the
  *     cancellation reason.
+ * @return {!CancellablePromise<void>} A Promise that is fulfilled once the
+ *     handlers registered with {@code onCancel} on the canceled Promises and on
+ *     the descendants rejected with the cancel error have finished their
+ *     cleanup, or rejected with the first error thrown by them. Its rejection
+ *     is not reported as unhandled, so the errors of the cleanup are only
+ *     passed to the callbacks added to it.
  */
 CancellablePromise.prototype.cancel = function(opt_message) {
+  var err = new CancellablePromise.CancellationError(opt_message);
+  err.IS_CANCELLATION_ERROR = true;
+  return this.cancelWithError_(err);
+};
+
+
+/**
+ * Cancels the Promise if it is still pending, as {@code cancel} does, but
+ * rejects it with the given error.
+ *
+ * @param {!Error} err
+ * @return {!CancellablePromise<void>} A Promise that is fulfilled once the
+ *     cleanup is done, as for {@code cancel}.
+ * @package
+ */
+CancellablePromise.prototype.cancelWithError_ = function(err) {
   if (this.state_ == CancellablePromise.State_.PENDING) {
-    async.run(function() {
-      var err = new CancellablePromise.CancellationError(opt_message);
-      err.IS_CANCELLATION_ERROR = true;
-      this.cancelInternal_(err);
+    var done = CancellablePromise.withResolver();
+    var cleanup = {results: [], pending: 1, resolve: done.resolve};
+    CancellablePromise.run_(function() {
+      CancellablePromise.collectCancelCleanup_(cleanup, function() {
+        CancellablePromise.addCancelCleanup_(cleanup, this.cancelInternal_(err));
+      }, this);
     }, this);
+    var result = done.promise.then(nullFunction);
+    // Callers that don't wait for the cleanup shouldn't get its errors rethrown.
+    result.thenVoid(null, nullFunction);
+    return result;
+  }
+  return CancellablePromise.resolve();
+};
+
+
+/**
+ * The cleanup of a {@code cancel} call: Promises for the results of the cancel
+ * handlers invoked so far, and the number of rejected Promises whose callbacks
+ * may still reject descendants with the cancel error.
+ *
+ * @typedef {{
+ *     results: !Array<*>,
+ *     pending: number,
+ *     resolve: function(*)}}
+ * @private
+ */
+CancellablePromise.CancelCleanup_;
+
+
+/**
+ * The cleanup of the {@code cancel} call whose cancellation is being
+ * propagated, if any.
+ * @type {?CancellablePromise.CancelCleanup_}
+ * @private
+ */
+CancellablePromise.currentCancelCleanup_ = null;
+
+
+/**
+ * Adds the results of cancel handlers to the cleanup of a {@code cancel} call.
+ * They are combined right away, so that the errors they are rejected with are
+ * handled.
+ *
+ * @param {!CancellablePromise.CancelCleanup_} cleanup
+ * @param {!Array<*>} results
+ * @private
+ */
+CancellablePromise.addCancelCleanup_ = function(cleanup, results) {
+  if (results.length) {
+    cleanup.results.push(CancellablePromise.all(results));
+  }
+};
+
+
+/**
+ * Calls a function that propagates a cancellation, adding the cleanup of the
+ * Promises it rejects with the cancel error to the given cleanup. Resolves the
+ * cleanup once no rejected Promise has callbacks left to execute.
+ *
+ * @param {!CancellablePromise.CancelCleanup_} cleanup
+ * @param {function(this:THIS)} fn
+ * @param {THIS} context
+ * @template THIS
+ * @private
+ */
+CancellablePromise.collectCancelCleanup_ = function(cleanup, fn, context) {
+  var previous = CancellablePromise.currentCancelCleanup_;
+  CancellablePromise.currentCancelCleanup_ = cleanup;
+  try {
+    fn.call(context);
+  } finally {
+    CancellablePromise.currentCancelCleanup_ = previous;
+    if (--cleanup.pending == 0) {
+      cleanup.resolve(CancellablePromise.all(cleanup.results));
+    }
+  }
+};
+
+
+/**
+ * Returns a child Promise that is fulfilled with the value of this Promise once
+ * the given amount of time has passed after this Promise was fulfilled.
+ * Rejections are passed on right away. The child Promise can be canceled while
+ * waiting, which clears the timer.
+ *
+ * @param {number} ms The time to wait for, in milliseconds.
+ * @return {!CancellablePromise<TYPE>}
+ */
+CancellablePromise.prototype.delay = function(ms) {
+  /** @type {CancellablePromise.CallbackEntry_} */
+  var callbackEntry = CancellablePromise.getCallbackEntry_(null, null, null);
+
+  var child = new CancellablePromise(function(resolve, reject, onCancel) {
+    var timer = null;
+
+    callbackEntry.onFulfilled = function(value) {
+      // The parent is settled, so the child is canceled on its own from now.
+      child.parent_ = null;
+      timer = CancellablePromise.setTimeout_(function() {
+        resolve(value);
+      }, ms);
+    };
+    callbackEntry.onRejected = reject;
+
+    onCancel(function() {
+      CancellablePromise.clearTimeout_(timer);
+    });
+  });
+
+  callbackEntry.child = child;
+  child.parent_ = this;
+  child.cancelPolicy_ = this.cancelPolicy_;
+  child.inheritScope_(this);
+  this.addCallbackEntry_(callbackEntry);
+  return child;
+};
+
+
+/**
+ * Returns a child Promise that settles like this Promise, unless the given
+ * amount of time passes first. In that case the child Promise is canceled
+ * with a {@code TimeoutError} instead of a cancel error, which cancels this
+ * Promise as well if allowed by its cancel policy. The timer is cleared once
+ * the child Promise is settled.
+ *
+ * @param {number} ms The time to wait for, in milliseconds.
+ * @param {string=} opt_message An optional message for the timeout error.
+ * @return {!CancellablePromise<TYPE>}
+ */
+CancellablePromise.prototype.timeout = function(ms, opt_message) {
+  var child = this.then();
+  var timer = CancellablePromise.setTimeout_(function() {
+    var err = new CancellablePromise.TimeoutError(
+        opt_message || 'The Promise timed out after ' + ms + 'ms');
+    err.IS_TIMEOUT_ERROR = true;
+    child.cancelWithError_(err);
+  }, ms);
+  child.onSettled_(function() {
+    CancellablePromise.clearTimeout_(timer);
+  });
+  return child;
+};
+
+
+/**
+ * Registers a handler that is invoked once if the Promise is canceled, before
+ * it is rejected with the cancel error. This is meant to stop the underlying
+ * work of the Promise, like clearing timers or closing connections. Handlers
+ * also run when the Promise is canceled as the result of a child being
+ * canceled, or is rejected with the cancel error of a canceled ancestor.
+ *
+ * A handler may return a Promise (or Promise-like) to perform asynchronous
+ * cleanup, which the Promise returned by {@code cancel} waits for. Handlers
+ * registered after the Promise was canceled are invoked right away, and
+ * handlers of a Promise settled by other means are discarded.
+ *
+ * @param {function(!Error): *} handler A function that receives the cancel
+ *     error.
+ * @return {!CancellablePromise<TYPE>} This Promise, for chaining additional
+ *     calls.
+ */
+CancellablePromise.prototype.onCancel = function(handler) {
+  if (this.state_ == CancellablePromise.State_.PENDING ||
+      this.state_ == CancellablePromise.State_.BLOCKED) {
+    this.cancelHandlers_ = this.cancelHandlers_ || [];
+    this.cancelHandlers_.push(handler);
+  } else if (this.state_ == CancellablePromise.State_.REJECTED &&
+             this.result_ && this.result_.IS_CANCELLATION_ERROR) {
+    CancellablePromise.invokeCancelHandler_(handler, this.result_);
+  }
+  return this;
+};
+
+
+/**
+ * @return {CancellablePromise.CancelPolicy} The policy for propagating
+ *     cancellation from and to this Promise.
+ */
+CancellablePromise.prototype.getCancelPolicy = function() {
+  return this.cancelPolicy_ || CancellablePromise.DEFAULT_CANCEL_POLICY;
+};
+
+
+/**
+ * Sets the policy for propagating cancellation from and to this Promise. The
+ * policy is inherited by child Promises created afterwards.
+ *
+ * @param {CancellablePromise.CancelPolicy} policy
+ * @return {!CancellablePromise<TYPE>} This Promise, for chaining additional
+ *     calls.
+ */
+CancellablePromise.prototype.setCancelPolicy = function(policy) {
+  this.cancelPolicy_ = policy;
+  return this;
+};
+
+
+/**
+ * Invokes the cancel handlers of this Promise, if any, and releases them.
+ *
+ * @param {!Error} err The cancel error.
+ * @return {!Array<*>} The results of the handlers.
+ * @private
+ */
+CancellablePromise.prototype.runCancelHandlers_ = function(err) {
+  var handlers = this.cancelHandlers_;
+  var results = [];
+  this.cancelHandlers_ = null;
+  if (handlers) {
+    for (var i = 0; i < handlers.length; i++) {
+      results.push(CancellablePromise.invokeCancelHandler_(handlers[i], err));
+    }
+  }
+  return results;
+};
+
+
+/**
+ * @param {function(!Error): *} handler
+ * @param {!Error} err The cancel error.
+ * @return {*} The result of the handler, or a rejected Promise if the handler
+ *     threw an exception.
+ * @private
+ */
+CancellablePromise.invokeCancelHandler_ = function(handler, err) {
+  try {
+    return handler(err);
+  } catch (e) {
+    return CancellablePromise.reject(e);
   }
 };
 
@@ -709,34 +2451,128 @@ CancellablePromise.prototype.cancel = function(opt_message) {
  * Cancels this Promise with the given error.
  *
  * @param {!Error} err The cancellation error.
+ * @return {!Array<*>} The results of the cancel handlers that were invoked.
  * @private
  */
 CancellablePromise.prototype.cancelInternal_ = function(err) {
+  var cleanup = [];
   if (this.state_ == CancellablePromise.State_.PENDING) {
+    if (this.abortController_) {
+      this.abortController_.abort(err);
+    }
+    cleanup = this.runCancelHandlers_(err);
+    if (this.getCancelPolicy() == CancellablePromise.CancelPolicy.SUBTREE) {
+      cleanup = cleanup.concat(this.cancelChildren_(err));
+    }
     if (this.parent_) {
       // Cancel the Promise and remove it from the parent's child list.
-      this.parent_.cancelChild_(this, err);
+      cleanup = cleanup.concat(this.parent_.cancelChild_(this, err));
       this.parent_ = null;
     } else {
       this.resolve_(CancellablePromise.State_.REJECTED, err);
     }
   }
+  return cleanup;
+};
+
+
+/**
+ * An {@code AbortSignal} that is aborted when this Promise is canceled, with
+ * the cancel error as the abort reason. This allows passing the cancellation
+ * of the Promise to APIs such as {@code fetch}. The signal is also aborted
+ * when the Promise is rejected with the cancel error of a canceled ancestor,
+ * and is already aborted if the Promise was canceled before the signal was
+ * requested.
+ *
+ * @name CancellablePromise.prototype.signal
+ * @type {!AbortSignal}
+ */
+Object.defineProperty(CancellablePromise.prototype, 'signal', {
+  get: function() {
+    if (!this.abortController_) {
+      if (typeof AbortController === 'undefined') {
+        throw new Error('AbortController is not supported in this environment');
+      }
+      this.abortController_ = new AbortController();
+      if (this.state_ == CancellablePromise.State_.REJECTED &&
+          this.result_ && this.result_.IS_CANCELLATION_ERROR) {
+        this.abortController_.abort(this.result_);
+      }
+    }
+    return this.abortController_.signal;
+  }
+});
+
+
+/**
+ * Removes all child Promises from the list of callback entries and cancels
+ * them with the given error. Callbacks that did not create a child Promise
+ * are kept, and are invoked once this Promise is rejected.
+ *
+ * @param {!Error} err The cancel error.
+ * @return {!Array<*>} The results of the cancel handlers that were invoked.
+ * @private
+ */
+CancellablePromise.prototype.cancelChildren_ = function(err) {
+  var children = [];
+  var previous = null;
+  var entry = this.callbackEntries_;
+  while (entry) {
+    var next = entry.next;
+    if (entry.child) {
+      if (previous) {
+        this.removeEntryAfter_(previous);
+      } else {
+        this.popEntry_();
+      }
+      children.push(entry.child);
+      CancellablePromise.returnEntry_(entry);
+    } else {
+      previous = entry;
+    }
+    entry = next;
+  }
+
+  var cleanup = [];
+  for (var i = 0; i < children.length; i++) {
+    children[i].parent_ = null;
+    cleanup = cleanup.concat(children[i].cancelInternal_(err));
+  }
+  return cleanup;
+};
+
+
+/**
+ * @return {number} The number of callbacks added to this Promise, not counting
+ *     the ones added with {@code thenAlways}.
+ * @private
+ */
+CancellablePromise.prototype.getChildCount_ = function() {
+  var count = 0;
+  for (var entry = this.callbackEntries_; entry; entry = entry.next) {
+    if (!entry.always) {
+      count++;
+    }
+  }
+  return count;
 };
 
 
 /**
  * Cancels a child Promise from the list of callback entries. If the Promise has
  * not already been resolved, reject it with a cancel error. If there are no
- * other children in the list of callback entries, propagate the cancellation
- * by canceling this Promise as well.
+ * other children in the list of callback entries, and the cancel policy of
+ * this Promise allows it, propagate the cancellation by canceling this Promise
+ * as well.
  *
  * @param {!CancellablePromise} childPromise The Promise to cancel.
  * @param {!Error} err The cancel error to use for rejecting the Promise.
+ * @return {!Array<*>} The results of the cancel handlers that were invoked.
  * @private
  */
 CancellablePromise.prototype.cancelChild_ = function(childPromise, err) {
   if (!this.callbackEntries_) {
-    return;
+    return [];
   }
   var childCount = 0;
   var childEntry = null;
@@ -764,8 +2600,9 @@ CancellablePromise.prototype.cancelChild_ = function(childPromise, err) {
   // If the child Promise was the only child, cancel this Promise as well.
   // Otherwise, reject only the child Promise with the cancel error.
   if (childEntry) {
-    if (this.state_ == CancellablePromise.State_.PENDING && childCount == 1) {
-      this.cancelInternal_(err);
+    if (this.state_ == CancellablePromise.State_.PENDING && childCount == 1 &&
+        this.getCancelPolicy() != CancellablePromise.CancelPolicy.NEVER) {
+      return this.cancelInternal_(err);
     } else {
       if (beforeChildEntry) {
         this.removeEntryAfter_(beforeChildEntry);
@@ -776,6 +2613,7 @@ CancellablePromise.prototype.cancelChild_ = function(childPromise, err) {
       this.executeCallback_(childEntry, CancellablePromise.State_.REJECTED, err);
     }
   }
+  return [];
 };
 
 
@@ -789,6 +2627,9 @@ CancellablePromise.prototype.cancelChild_ = function(childPromise, err) {
  * @private
  */
 CancellablePromise.prototype.addCallbackEntry_ = function(callbackEntry) {
+  if (this.leakRecord_) {
+    this.leakRecord_.hasCallbacks = true;
+  }
   if (!this.hasEntry_() && (this.state_ == CancellablePromise.State_.FULFILLED ||
                             this.state_ == CancellablePromise.State_.REJECTED)) {
     this.scheduleCallbacks_();
@@ -850,6 +2691,8 @@ CancellablePromise.prototype.addChildPromise_ = function(
   });
 
   callbackEntry.child.parent_ = this;
+  callbackEntry.child.cancelPolicy_ = this.cancelPolicy_;
+  callbackEntry.child.inheritScope_(this);
   this.addCallbackEntry_(callbackEntry);
   return callbackEntry.child;
 };
@@ -918,11 +2761,36 @@ CancellablePromise.prototype.resolve_ = function(state, x) {
   // Since we can no longer be canceled, remove link to parent, so that the
   // child promise does not keep the parent promise alive.
   this.parent_ = null;
+  if (this.leakRecord_) {
+    this.leakRecord_.detector.untrack(this.leakRecord_);
+    this.leakRecord_ = null;
+  }
   this.scheduleCallbacks_();
 
-  if (state == CancellablePromise.State_.REJECTED && !x.IS_CANCELLATION_ERROR) {
-    CancellablePromise.addUnhandledRejection_(this, x);
+  if (state == CancellablePromise.State_.REJECTED) {
+    if (!x.IS_CANCELLATION_ERROR) {
+      // Recorded right away, for the rejections that are handled as well.
+      this.appendLongStack_(x);
+      CancellablePromise.addUnhandledRejection_(this, x);
+    } else {
+      // Canceled by an ancestor, abort the signal and clean up as well.
+      if (this.abortController_) {
+        this.abortController_.abort(x);
+      }
+      var cleanup = this.runCancelHandlers_(x);
+      var cancelCleanup = CancellablePromise.currentCancelCleanup_;
+      if (cancelCleanup) {
+        // Part of a cancel call, which waits for this cleanup and for the one
+        // of the descendants rejected once the callbacks are executed.
+        CancellablePromise.addCancelCleanup_(cancelCleanup, cleanup);
+        cancelCleanup.pending++;
+        this.cancelCleanup_ = cancelCleanup;
+      } else if (cleanup.length) {
+        CancellablePromise.all(cleanup);
+      }
+    }
   }
+  this.cancelHandlers_ = null;
 };
 
 
@@ -1024,7 +2892,7 @@ CancellablePromise.tryThen_ = function(
 CancellablePromise.prototype.scheduleCallbacks_ = function() {
   if (!this.executing_) {
     this.executing_ = true;
-    async.run(this.executeCallbacks_, this);
+    CancellablePromise.run_(this.executeCallbacks_, this);
   }
 };
 
@@ -1093,9 +2961,17 @@ CancellablePromise.prototype.removeEntryAfter_ = function(previous) {
  * @private
  */
 CancellablePromise.prototype.executeCallbacks_ = function() {
+  var cancelCleanup = this.cancelCleanup_;
+  if (cancelCleanup) {
+    this.cancelCleanup_ = null;
+    CancellablePromise.collectCancelCleanup_(
+        cancelCleanup, this.executeCallbacks_, this);
+    return;
+  }
+
   var entry = null;
   while (entry = this.popEntry_()) {
-    if (CancellablePromise.LONG_STACK_TRACES) {
+    if (!entry.internal) {
       this.currentStep_++;
     }
     this.executeCallback_(entry, this.state_, this.result_);
@@ -1161,54 +3037,288 @@ CancellablePromise.invokeCallback_ = function(callbackEntry, state, result) {
 
 
 /**
- * Records a stack trace entry for functions that call {@code then} or the
- * Promise constructor. May be disabled by unsetting {@code LONG_STACK_TRACES}.
+ * Records a stack trace frame for functions that call {@code then} or the
+ * Promise constructor. Callers only create the Error when long stack traces
+ * are enabled for this Promise.
  *
  * @param {!Error} err An Error object created by the calling function for
- *     providing a stack trace.
+ *     providing a stack trace, with the kind of the frame as message.
  * @private
  */
 CancellablePromise.prototype.addStackTrace_ = function(err) {
-  if (CancellablePromise.LONG_STACK_TRACES && isString(err.stack)) {
-    // Extract the third line of the stack trace, which is the entry for the
-    // user function that called into Promise code.
-    var trace = err.stack.split('\n', 4)[3];
-    var message = err.message;
+  if (isString(err.stack)) {
+    this.stack_.push(CancellablePromise.getTraceFrame_(err));
+  }
+};
+
+
+/**
+ * Reads the entry of the user function that called into Promise code from the
+ * stack trace of an Error created by Promise code.
+ *
+ * @param {!Error} err An Error object created by Promise code, with the kind
+ *     of the frame as message.
+ * @return {!CancellablePromise.TraceFrame}
+ * @package
+ */
+CancellablePromise.getTraceFrame_ = function(err) {
+  // The entry of the user function is the first one outside of the library,
+  // unless the library code was called by the scheduler.
+  var lines = isString(err.stack) ? err.stack.split('\n') : [];
+  var scheduled = CancellablePromise.scheduledFrame_;
+  for (var i = 0; i < lines.length; i++) {
+    var frame = CancellablePromise.parseTraceFrame_(err.message, lines[i]);
+    if (!frame.file) {
+      continue;
+    }
+    if (scheduled && frame.file == scheduled.file &&
+        frame.line == scheduled.line && frame.column == scheduled.column) {
+      break;
+    }
+    if (CancellablePromise.libraryFiles_.indexOf(frame.file) == -1) {
+      return frame;
+    }
+  }
+  return CancellablePromise.parseTraceFrame_(err.message, undefined);
+};
+
+
+/**
+ * The location of the call of scheduled callbacks in {@code callScheduled_},
+ * which starts the frames of the scheduler in stack traces, if it could be
+ * read.
+ * @type {?CancellablePromise.TraceFrame}
+ * @private
+ */
+CancellablePromise.scheduledFrame_ = null;
+
+
+/**
+ * The files of the library modules, whose frames are skipped when reading the
+ * entry of the user function from a stack trace.
+ * @type {!Array<string>}
+ * @private
+ */
+CancellablePromise.libraryFiles_ = [];
+
+
+/**
+ * Registers the file of a library module, read from the first location of the
+ * stack trace of an Error created by the module.
+ *
+ * @param {!Error} err An Error object created at the top level of the module.
+ * @package
+ */
+CancellablePromise.addLibraryFile_ = function(err) {
+  var lines = isString(err.stack) ? err.stack.split('\n') : [];
+  for (var i = 0; i < lines.length; i++) {
+    var file = CancellablePromise.parseTraceFrame_('', lines[i]).file;
+    if (file) {
+      if (CancellablePromise.libraryFiles_.indexOf(file) == -1) {
+        CancellablePromise.libraryFiles_.push(file);
+      }
+      return;
+    }
+  }
+};
+
+
+/**
+ * A location where a Promise was created or had callbacks added to it. The
+ * location is null when it couldn't be read from the stack trace.
+ * @typedef {{
+ *   kind: string,
+ *   file: ?string,
+ *   line: ?number,
+ *   column: ?number
+ * }}
+ */
+CancellablePromise.TraceFrame;
+
+
+/**
+ * The trace frames of a Promise of the chain that led to an error, along with
+ * the state and the result of the Promise.
+ * @typedef {{
+ *   frames: !Array<!CancellablePromise.TraceFrame>,
+ *   rejected: boolean,
+ *   result: *
+ * }}
+ */
+CancellablePromise.AsyncTraceEntry;
+
+
+/**
+ * Matches the location at the end of a stack trace line, in both the
+ * "at fn (file:1:2)" and "fn@file:1:2" formats.
+ * @type {!RegExp}
+ * @const
+ * @private
+ */
+CancellablePromise.TRACE_LOCATION_REGEXP_ =
+    /(?:at\s+(?:.*?\()?|@)(.*?):(\d+):(\d+)\)?\s*$/;
 
-    // Pad the message to align the traces.
-    message += Array(11 - message.length).join(' ');
-    this.stack_.push(message + trace);
+
+/**
+ * @param {string} kind The kind of the frame, such as 'created' or 'then'.
+ * @param {string|undefined} trace A line of a stack trace.
+ * @return {!CancellablePromise.TraceFrame}
+ * @private
+ */
+CancellablePromise.parseTraceFrame_ = function(kind, trace) {
+  var match = trace && CancellablePromise.TRACE_LOCATION_REGEXP_.exec(trace);
+  return {
+    kind: kind,
+    file: match ? match[1] : null,
+    line: match ? Number(match[2]) : null,
+    column: match ? Number(match[3]) : null
+  };
+};
+
+
+/**
+ * @param {!CancellablePromise.TraceFrame} frame
+ * @return {string} The frame formatted as a stack trace line.
+ * @private
+ */
+CancellablePromise.formatTraceFrame_ = function(frame) {
+  // Pad the kind to align the traces.
+  var line = frame.kind + Array(11 - frame.kind.length).join(' ');
+  if (frame.file) {
+    line += 'at ' + frame.file + ':' + frame.line + ':' + frame.column;
   }
+  return line;
+};
+
+
+/**
+ * The async traces of errors that were rethrown, by error, or null if
+ * {@code WeakMap} isn't supported.
+ * @type {WeakMap<!Object, !Array<!CancellablePromise.AsyncTraceEntry>>}
+ * @private
+ */
+CancellablePromise.asyncTraces_ =
+    typeof WeakMap === 'undefined' ? null : new WeakMap();
+
+
+/**
+ * Returns the async trace recorded for an error that was rethrown by a Promise
+ * with long stack traces enabled: the trace frames of every Promise of the
+ * chain that led to the error, starting with the Promise that rejected it and
+ * ending with the root Promise.
+ *
+ * @param {*} err
+ * @return {Array<!CancellablePromise.AsyncTraceEntry>} The async trace, or null
+ *     if none was recorded.
+ */
+CancellablePromise.getAsyncTrace = function(err) {
+  var traces = CancellablePromise.asyncTraces_;
+  return traces && isObject(err) && traces.get(err) || null;
 };
 
 
 /**
- * Adds extra stack trace information to an exception for the list of
- * asynchronous {@code then} calls that have been run for this Promise. Stack
- * trace information is recorded in {@see #addStackTrace_}, and appended to
- * rethrown errors when {@code LONG_STACK_TRACES} is enabled.
+ * Records the async trace of an exception for the list of asynchronous
+ * {@code then} calls that have been run for this Promise and its parents. Stack
+ * trace information is recorded in {@see #addStackTrace_}. The trace is also
+ * appended to the stack of the exception, and linked to it as a chain of
+ * {@code cause} errors if configured. Only the first Promise rejected with the
+ * exception records it.
  *
- * @param {*} err An unhandled exception captured during callback execution.
+ * @param {*} err The reason this Promise was rejected with.
  * @private
  */
 CancellablePromise.prototype.appendLongStack_ = function(err) {
-  if (CancellablePromise.LONG_STACK_TRACES && err && isString(err.stack) &&
-      this.stack_.length) {
-    var longTrace = ['Promise trace:'];
+  var traces = CancellablePromise.asyncTraces_;
+  if (!this.hasLongStackTraces_() || !isObject(err)) {
+    return;
+  }
+  // Without WeakMap, the appended stack tells whether it was recorded.
+  if (traces ? traces.has(err) : isString(err.stack) &&
+      err.stack.indexOf(CancellablePromise.LONG_STACK_HEADER_) != -1) {
+    return;
+  }
 
-    for (var promise = this; promise; promise = promise.parent_) {
-      for (var i = this.currentStep_; i >= 0; i--) {
-        longTrace.push(promise.stack_[i]);
-      }
-      longTrace.push(
-          'Value: ' +
-          '[' + (promise.state_ == CancellablePromise.State_.REJECTED ? 'REJECTED' :
-                                                                  'FULFILLED') +
-          '] ' +
-          '<' + String(promise.result_) + '>');
+  var trace = [];
+  var hasFrames = false;
+  for (var promise = this; promise;
+       promise = promise.parent_ || promise.traceParent_) {
+    var frames = promise.stack_.slice(0, promise.currentStep_ + 1).reverse();
+    hasFrames = hasFrames || frames.length > 0;
+    trace.push({
+      frames: frames,
+      rejected: promise.state_ == CancellablePromise.State_.REJECTED,
+      result: promise.result_
+    });
+  }
+  if (!hasFrames) {
+    return;
+  }
+  if (traces) {
+    traces.set(err, trace);
+  }
+
+  if (isString(err.stack)) {
+    var longTrace = [CancellablePromise.LONG_STACK_HEADER_];
+    trace.forEach(function(entry) {
+      longTrace.push.apply(
+          longTrace, entry.frames.map(CancellablePromise.formatTraceFrame_));
+      longTrace.push(CancellablePromise.formatTraceValue_(entry));
+    });
+    err.stack += longTrace.join('\n');
+  }
+
+  if (this.hasAsyncTraceCause_() && !isDef(err.cause)) {
+    err.cause = CancellablePromise.createTraceCause_(trace);
+  }
+};
+
+
+/**
+ * The header of the async trace appended to the stack of exceptions, preceded
+ * by an empty line.
+ * @type {string}
+ * @const
+ * @private
+ */
+CancellablePromise.LONG_STACK_HEADER_ = '\n\nPromise trace:';
+
+
+/**
+ * @param {!CancellablePromise.AsyncTraceEntry} entry
+ * @return {string} The state and result of the entry, for stack traces.
+ * @private
+ */
+CancellablePromise.formatTraceValue_ = function(entry) {
+  return 'Value: [' + (entry.rejected ? 'REJECTED' : 'FULFILLED') + '] <' +
+      String(entry.result) + '>';
+};
+
+
+/**
+ * Creates a chain of errors linked by their {@code cause}, one per entry of
+ * the async trace, whose stacks list the trace frames of the entry.
+ *
+ * @param {!Array<!CancellablePromise.AsyncTraceEntry>} trace
+ * @return {!Error} The error of the first entry.
+ * @private
+ */
+CancellablePromise.createTraceCause_ = function(trace) {
+  var cause;
+  for (var i = trace.length - 1; i >= 0; i--) {
+    var error = new Error(CancellablePromise.formatTraceValue_(trace[i]));
+    error.name = 'AsyncTrace';
+    error.frames = trace[i].frames;
+    error.stack = error.name + ': ' + error.message + '\n' +
+        trace[i].frames.map(function(frame) {
+          return '    ' + CancellablePromise.formatTraceFrame_(frame);
+        }).join('\n');
+    if (cause) {
+      error.cause = cause;
     }
-    err.stack += '\n\n' + longTrace.join('\n');
+    cause = error;
   }
+  return cause;
 };
 
 
@@ -1220,49 +3330,209 @@ CancellablePromise.prototype.appendLongStack_ = function(err) {
  * @private
  */
 CancellablePromise.prototype.removeUnhandledRejection_ = function() {
-  if (CancellablePromise.UNHANDLED_REJECTION_DELAY > 0) {
-    for (var p = this; p && p.unhandledRejectionId_; p = p.parent_) {
-      clearTimeout(p.unhandledRejectionId_);
+  // Both fields are checked, as the delay may have changed since the rejection.
+  for (var p = this; p && (p.unhandledRejectionId_ || p.hadUnhandledRejection_);
+       p = p.parent_) {
+    if (p.unhandledRejectionId_) {
+      CancellablePromise.clearTimeout_(p.unhandledRejectionId_);
       p.unhandledRejectionId_ = 0;
     }
-  } else if (CancellablePromise.UNHANDLED_REJECTION_DELAY == 0) {
-    for (var p = this; p && p.hadUnhandledRejection_; p = p.parent_) {
-      p.hadUnhandledRejection_ = false;
-    }
+    p.hadUnhandledRejection_ = false;
+    CancellablePromise.trackHandledLater_(p);
   }
 };
 
 
 /**
  * Marks this rejected Promise as unhandled. If no {@code onRejected} callback
- * is called for this Promise before the {@code UNHANDLED_REJECTION_DELAY}
- * expires, the reason will be passed to the unhandled rejection handler. The
- * handler typically rethrows the rejection reason so that it becomes visible in
- * the developer console.
+ * is called for this Promise before its unhandled rejection delay expires, the
+ * reason will be passed to the unhandled rejection handler. The handler
+ * typically rethrows the rejection reason so that it becomes visible in the
+ * developer console.
  *
  * @param {!CancellablePromise} promise The rejected Promise.
  * @param {*} reason The Promise rejection reason.
  * @private
  */
 CancellablePromise.addUnhandledRejection_ = function(promise, reason) {
-  if (CancellablePromise.UNHANDLED_REJECTION_DELAY > 0) {
-    promise.unhandledRejectionId_ = setTimeout(function() {
-      promise.appendLongStack_(reason);
-      CancellablePromise.handleRejection_.call(null, reason);
-    }, CancellablePromise.UNHANDLED_REJECTION_DELAY);
+  var delay = promise.getUnhandledRejectionDelay_();
+  if (delay > 0) {
+    promise.unhandledRejectionId_ = CancellablePromise.setTimeout_(function() {
+      CancellablePromise.reportUnhandledRejection_(promise, reason);
+    }, delay);
 
-  } else if (CancellablePromise.UNHANDLED_REJECTION_DELAY == 0) {
+  } else if (delay == 0) {
     promise.hadUnhandledRejection_ = true;
-    async.run(function() {
+    CancellablePromise.run_(function() {
       if (promise.hadUnhandledRejection_) {
-        promise.appendLongStack_(reason);
-        CancellablePromise.handleRejection_.call(null, reason);
+        CancellablePromise.reportUnhandledRejection_(promise, reason);
       }
     });
   }
 };
 
 
+/**
+ * Passes the reason of a rejection that was not handled in time to the
+ * unhandled rejection handler, and to the {@code UNHANDLED} rejection
+ * listeners.
+ *
+ * @param {!CancellablePromise} promise The rejected Promise.
+ * @param {*} reason The Promise rejection reason.
+ * @private
+ */
+CancellablePromise.reportUnhandledRejection_ = function(promise, reason) {
+  promise.appendLongStack_(reason);
+  promise.rejectionReported_ = true;
+  if (CancellablePromise.unhandledRejections_) {
+    CancellablePromise.unhandledRejections_.push(
+        {promise: promise, reason: reason});
+  }
+  CancellablePromise.emitRejectionEvent_(
+      CancellablePromise.RejectionEventType.UNHANDLED, promise, reason);
+  var handler = promise.unhandledRejectionHandler_ ||
+      CancellablePromise.handleRejection_;
+  handler.call(null, reason);
+};
+
+
+/**
+ * Reports a rejection that was reported as unhandled, but is now handled.
+ *
+ * @param {!CancellablePromise} promise The rejected Promise.
+ * @private
+ */
+CancellablePromise.trackHandledLater_ = function(promise) {
+  if (!promise.rejectionReported_) {
+    return;
+  }
+  promise.rejectionReported_ = false;
+
+  var rejections = CancellablePromise.unhandledRejections_ || [];
+  for (var i = 0; i < rejections.length; i++) {
+    if (rejections[i].promise === promise) {
+      rejections.splice(i, 1);
+      break;
+    }
+  }
+  CancellablePromise.emitRejectionEvent_(
+      CancellablePromise.RejectionEventType.HANDLED_LATER, promise,
+      promise.result_);
+};
+
+
+/**
+ * Calls the rejection listeners of the given type. Errors thrown by listeners
+ * are rethrown asynchronously, so that they don't affect the Promises.
+ *
+ * @param {CancellablePromise.RejectionEventType} type
+ * @param {!CancellablePromise} promise
+ * @param {*} reason
+ * @private
+ */
+CancellablePromise.emitRejectionEvent_ = function(type, promise, reason) {
+  var listeners = CancellablePromise.rejectionListeners_[type].slice();
+  for (var i = 0; i < listeners.length; i++) {
+    try {
+      listeners[i](promise, reason);
+    } catch (e) {
+      async.throwException(e);
+    }
+  }
+};
+
+
+/**
+ * The types of events emitted about rejections, see
+ * {@code addRejectionListener}.
+ * @enum {string}
+ */
+CancellablePromise.RejectionEventType = {
+  /**
+   * A rejection was not handled in time and was passed to the unhandled
+   * rejection handler.
+   */
+  UNHANDLED: 'unhandled',
+
+  /** A rejection that was reported as unhandled has been handled since. */
+  HANDLED_LATER: 'handled-later'
+};
+
+
+/**
+ * The listeners added with {@code addRejectionListener}, by event type.
+ * @type {!Object<string, !Array<function(!CancellablePromise, *)>>}
+ * @private
+ */
+CancellablePromise.rejectionListeners_ = {
+  'unhandled': [],
+  'handled-later': []
+};
+
+
+/**
+ * The rejections reported as unhandled that haven't been handled since, or null
+ * if they aren't tracked. See {@code setTrackUnhandledRejections}.
+ * @type {Array<{promise: !CancellablePromise, reason: *}>}
+ * @private
+ */
+CancellablePromise.unhandledRejections_ = null;
+
+
+/**
+ * Adds a listener that is called with the Promise and the rejection reason
+ * every time an event of the given type occurs. This allows retracting
+ * reports of unhandled rejections once they are handled after all.
+ *
+ * @param {CancellablePromise.RejectionEventType} type
+ * @param {function(!CancellablePromise, *)} listener
+ * @return {function()} A function that removes the listener.
+ */
+CancellablePromise.addRejectionListener = function(type, listener) {
+  var listeners = CancellablePromise.rejectionListeners_[type];
+  if (!listeners) {
+    throw new TypeError('Unknown rejection event type: ' + type);
+  }
+  listeners.push(listener);
+  return function() {
+    var index = listeners.indexOf(listener);
+    if (index != -1) {
+      listeners.splice(index, 1);
+    }
+  };
+};
+
+
+/**
+ * Sets whether the rejections reported as unhandled are kept until they are
+ * handled, for {@code getUnhandledRejections}. They aren't kept by default, as
+ * the rejections that are never handled would be kept forever. Stopping clears
+ * the rejections kept so far.
+ *
+ * @param {boolean} track
+ */
+CancellablePromise.setTrackUnhandledRejections = function(track) {
+  if (!track) {
+    CancellablePromise.unhandledRejections_ = null;
+  } else if (!CancellablePromise.unhandledRejections_) {
+    CancellablePromise.unhandledRejections_ = [];
+  }
+};
+
+
+/**
+ * Returns the rejections that were reported as unhandled while tracking them
+ * with {@code setTrackUnhandledRejections} and haven't been handled since, in
+ * the order they were reported.
+ *
+ * @return {!Array<{promise: !CancellablePromise, reason: *}>}
+ */
+CancellablePromise.getUnhandledRejections = function() {
+  var rejections = CancellablePromise.unhandledRejections_;
+  return rejections ? rejections.slice() : [];
+};
+
+
 /**
  * A method that is invoked with the rejection reasons for Promises that are
  * rejected but have no {@code onRejected} callbacks registered yet.
@@ -1289,6 +3559,96 @@ CancellablePromise.setUnhandledRejectionHandler = function(handler) {
 };
 
 
+/**
+ * The handlers pushed with {@code pushUnhandledRejectionHandler}. Promises
+ * use the top handler at the time they are created.
+ * @type {!Array<function(*)>}
+ * @private
+ */
+CancellablePromise.unhandledRejectionHandlers_ = [];
+
+
+/**
+ * Pushes a handler for the unhandled rejections of the Promises created until
+ * it is popped, and of their children. Unlike the global handler, it doesn't
+ * replace the handlers of other code, which can push their own.
+ *
+ * @param {function(*)} handler A function that will be called with reasons from
+ *     rejected Promises.
+ */
+CancellablePromise.pushUnhandledRejectionHandler = function(handler) {
+  CancellablePromise.unhandledRejectionHandlers_.push(handler);
+};
+
+
+/**
+ * Pops the handler pushed last with {@code pushUnhandledRejectionHandler}.
+ * Promises created before keep using it.
+ *
+ * @return {?function(*)} The popped handler, or null if there was none.
+ */
+CancellablePromise.popUnhandledRejectionHandler = function() {
+  return CancellablePromise.unhandledRejectionHandlers_.pop() || null;
+};
+
+
+/**
+ * Calls the given function with the given handler pushed, so that it handles
+ * the unhandled rejections of the Promises created by the function and of
+ * their children.
+ *
+ * @param {function(*)} handler A function that will be called with reasons from
+ *     rejected Promises.
+ * @param {function(this:THIS): RESULT} fn
+ * @param {THIS=} opt_context An optional context for executing the function.
+ * @return {RESULT} The result of the function.
+ * @template RESULT,THIS
+ */
+CancellablePromise.withUnhandledRejectionHandler = function(
+    handler, fn, opt_context) {
+  CancellablePromise.pushUnhandledRejectionHandler(handler);
+  try {
+    return fn.call(opt_context);
+  } finally {
+    CancellablePromise.popUnhandledRejectionHandler();
+  }
+};
+
+
+/**
+ * Sets the handler for the unhandled rejections of this Promise, which is
+ * inherited by child Promises created afterwards. It takes precedence over the
+ * handler stack and the global handler.
+ *
+ * @param {function(*)} handler A function that will be called with the reason
+ *     if the rejection is not handled.
+ * @return {!CancellablePromise<TYPE>} This Promise, for chaining additional
+ *     calls.
+ */
+CancellablePromise.prototype.onUnhandledRejection = function(handler) {
+  this.unhandledRejectionHandler_ = handler;
+  return this;
+};
+
+
+/**
+ * Makes a child Promise use the configuration of its parent, and its unhandled
+ * rejection handler unless the parent has none.
+ *
+ * @param {!CancellablePromise} parent
+ * @package
+ */
+CancellablePromise.prototype.inheritScope_ = function(parent) {
+  this.config_ = parent.config_;
+  if (this.hasLongStackTraces_()) {
+    this.traceParent_ = parent;
+  }
+  if (parent.unhandledRejectionHandler_) {
+    this.unhandledRejectionHandler_ = parent.unhandledRejectionHandler_;
+  }
+};
+
+
 
 /**
  * Error used as a rejection reason for canceled Promises.
@@ -1313,6 +3673,56 @@ CancellablePromise.CancellationError.prototype.name = 'cancel';
 
 
 
+/**
+ * Error used as a rejection reason for Promises that did not settle in time,
+ * see {@code timeout}. Timeout errors are flagged with {@code IS_TIMEOUT_ERROR}
+ * rather than {@code IS_CANCELLATION_ERROR}, so they can be told apart from
+ * user initiated cancellation.
+ *
+ * @param {string=} opt_message
+ * @constructor
+ * @extends {Error}
+ * @final
+ */
+CancellablePromise.TimeoutError = class extends Error {
+  constructor(opt_message) {
+    super(opt_message);
+
+    if (opt_message) {
+      this.message = opt_message;
+    }
+    this.name = 'timeout';
+  }
+};
+
+
+
+/**
+ * Error used as a rejection reason when all the inputs of
+ * {@code CancellablePromise.any} are rejected. This is the native
+ * {@code AggregateError} when the runtime provides one.
+ *
+ * @param {!Iterable<*>} errors The rejection reasons.
+ * @param {string=} opt_message
+ * @constructor
+ * @extends {Error}
+ */
+CancellablePromise.AggregateError = typeof AggregateError == 'function' ?
+    AggregateError :
+    class extends Error {
+      constructor(errors, opt_message) {
+        super(opt_message);
+
+        if (opt_message) {
+          this.message = opt_message;
+        }
+        this.name = 'AggregateError';
+        this.errors = Array.from(errors);
+      }
+    };
+
+
+
 /**
  * Internal implementation of the resolver interface.
  *
@@ -1336,5 +3746,21 @@ CancellablePromise.Resolver_ = function(promise, resolve, reject) {
   this.reject = reject;
 };
 
+// The frames of the Promise code are skipped when reading trace frames, along
+// with the ones of the scheduler, which come after the call of the callbacks.
+CancellablePromise.addLibraryFile_(new Error());
+CancellablePromise.callScheduled_(function() {
+  var lines = String(new Error().stack).split('\n');
+  var located = 0;
+  for (var i = 0; i < lines.length; i++) {
+    var frame = CancellablePromise.parseTraceFrame_('scheduled', lines[i]);
+    // The first location is this function, the second one is the call.
+    if (frame.file && ++located == 2) {
+      CancellablePromise.scheduledFrame_ = frame;
+      return;
+    }
+  }
+});
+
 export {CancellablePromise};
 export default CancellablePromise;
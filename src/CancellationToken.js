@@ -0,0 +1,126 @@
+'use strict';
+
+import CancellablePromise from './CancellablePromise';
+import { async } from 'metal';
+
+/**
+ * A token that is observed by code that can be canceled. Tokens are created and
+ * canceled through a {@code CancellationTokenSource}, which allows a single
+ * source to cancel any number of operations, independently of the parent/child
+ * relationship between their promises.
+ */
+class CancellationToken {
+	/**
+	 * @constructor
+	 */
+	constructor() {
+		/**
+		 * Listeners invoked once the token is canceled.
+		 * @type {!Array<function(!Error)>}
+		 * @protected
+		 */
+		this.listeners_ = [];
+
+		/**
+		 * The cancel error, set once the token is canceled.
+		 * @type {Error}
+		 * @protected
+		 */
+		this.reason_ = null;
+	}
+
+	/**
+	 * Cancels the token with the given error and invokes all listeners. This is
+	 * a no-op if the token has already been canceled.
+	 * @param {!Error} reason The cancel error.
+	 * @protected
+	 */
+	cancel_(reason) {
+		if (this.reason_) {
+			return;
+		}
+		this.reason_ = reason;
+
+		const listeners = this.listeners_;
+		this.listeners_ = [];
+		listeners.forEach(listener => {
+			try {
+				listener(reason);
+			} catch (e) {
+				async.throwException(e);
+			}
+		});
+	}
+
+	/**
+	 * Returns the cancel error of the token, or null if it hasn't been canceled.
+	 * @return {Error}
+	 */
+	getReason() {
+		return this.reason_;
+	}
+
+	/**
+	 * Returns whether the token has been canceled.
+	 * @return {boolean}
+	 */
+	isCancelled() {
+		return !!this.reason_;
+	}
+
+	/**
+	 * Cancels the given promise with the cancel error of this token once it is
+	 * canceled. The promise is canceled right away if the token already is.
+	 * @param {!CancellablePromise} promise
+	 * @return {!CancellablePromise} The given promise.
+	 */
+	link(promise) {
+		const unlink = this.onCancelled(reason => {
+			promise.cancelWithError_(reason);
+		});
+		promise.onSettled_(unlink);
+		return promise;
+	}
+
+	/**
+	 * Adds a listener that will be called with the cancel error once the token
+	 * is canceled. If it already is, the listener is called right away.
+	 * @param {function(!Error)} listener
+	 * @return {function()} A function that removes the listener.
+	 */
+	onCancelled(listener) {
+		if (this.reason_) {
+			listener(this.reason_);
+		} else {
+			this.listeners_.push(listener);
+		}
+		return () => {
+			const index = this.listeners_.indexOf(listener);
+			if (index !== -1) {
+				this.listeners_.splice(index, 1);
+			}
+		};
+	}
+
+	/**
+	 * Throws the cancel error if the token has been canceled. Useful for
+	 * checking for cancellation inside of long running synchronous code.
+	 * @throws {!CancellablePromise.CancellationError}
+	 */
+	throwIfCancelled() {
+		if (this.reason_) {
+			throw this.reason_;
+		}
+	}
+}
+
+/**
+ * A token that is never canceled.
+ * @type {!CancellationToken}
+ */
+CancellationToken.NONE = new CancellationToken();
+
+// The frames of the token are skipped when reading trace frames.
+CancellablePromise.addLibraryFile_(new Error());
+
+export default CancellationToken;
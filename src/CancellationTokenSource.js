@@ -0,0 +1,132 @@
+'use strict';
+
+import CancellablePromise from './CancellablePromise';
+import CancellationToken from './CancellationToken';
+
+/**
+ * Creates and cancels a {@code CancellationToken}. The token can be linked to
+ * many promises, combined with other tokens and canceled after a timeout.
+ */
+class CancellationTokenSource {
+	/**
+	 * @param {Array<!CancellationToken>=} opt_linkedTokens Tokens that cancel
+	 *     this source once any of them is canceled.
+	 * @constructor
+	 */
+	constructor(opt_linkedTokens) {
+		/**
+		 * The token controlled by this source.
+		 * @type {!CancellationToken}
+		 * @const
+		 */
+		this.token = new CancellationToken();
+
+		/**
+		 * Functions that remove the listeners added to the linked tokens.
+		 * @type {!Array<function()>}
+		 * @protected
+		 */
+		this.unlinkFns_ = [];
+
+		/**
+		 * The handle of the timeout set by {@code cancelAfter}.
+		 * @type {Object}
+		 * @protected
+		 */
+		this.timer_ = null;
+
+		(opt_linkedTokens || []).forEach(token => {
+			if (this.token.isCancelled()) {
+				return;
+			}
+			const unlink = token.onCancelled(reason => {
+				this.cancelWithReason_(reason);
+			});
+			// A token that is already canceled calls the listener right away.
+			if (!this.token.isCancelled()) {
+				this.unlinkFns_.push(unlink);
+			}
+		});
+	}
+
+	/**
+	 * Cancels the token of this source with a cancel error, which also cancels
+	 * every promise linked to the token. No action is performed if the token
+	 * has already been canceled.
+	 * @param {string=} opt_message An optional debugging message for describing
+	 *     the cancellation reason.
+	 */
+	cancel(opt_message) {
+		if (!this.token.isCancelled()) {
+			const err = new CancellablePromise.CancellationError(opt_message);
+			err.IS_CANCELLATION_ERROR = true;
+			this.cancelWithReason_(err);
+		}
+	}
+
+	/**
+	 * Cancels the token of this source once the given amount of time has
+	 * passed. Calling it again replaces the previous timeout.
+	 * @param {number} delay The delay in milliseconds.
+	 * @param {string=} opt_message An optional debugging message for describing
+	 *     the cancellation reason.
+	 * @return {!CancellationTokenSource} This source, for chaining.
+	 */
+	cancelAfter(delay, opt_message) {
+		this.clearTimer_();
+		if (!this.token.isCancelled()) {
+			this.timer_ = CancellablePromise.setTimeout_(() => {
+				this.timer_ = null;
+				this.cancel(opt_message);
+			}, delay);
+		}
+		return this;
+	}
+
+	/**
+	 * Cancels the token with the given error and releases the timeout and the
+	 * listeners added to linked tokens.
+	 * @param {!Error} reason
+	 * @protected
+	 */
+	cancelWithReason_(reason) {
+		this.dispose();
+		this.token.cancel_(reason);
+	}
+
+	/**
+	 * Clears the timeout set by {@code cancelAfter}, if any.
+	 * @protected
+	 */
+	clearTimer_() {
+		if (this.timer_ !== null) {
+			CancellablePromise.clearTimeout_(this.timer_);
+			this.timer_ = null;
+		}
+	}
+
+	/**
+	 * Releases the timeout and the listeners added to linked tokens, without
+	 * canceling the token.
+	 */
+	dispose() {
+		this.clearTimer_();
+		this.unlinkFns_.forEach(unlink => unlink());
+		this.unlinkFns_ = [];
+	}
+
+	/**
+	 * Creates a source that is canceled once any of the given tokens is
+	 * canceled.
+	 * @param {...!CancellationToken} var_args
+	 * @return {!CancellationTokenSource}
+	 */
+	static createLinked(...tokens) {
+		return new CancellationTokenSource(tokens);
+	}
+}
+
+// The frames of the source are skipped when reading trace frames.
+CancellablePromise.addLibraryFile_(new Error());
+
+export default CancellationTokenSource;
@@ -0,0 +1,325 @@
+'use strict';
+
+import CancellablePromise from './CancellablePromise';
+import { async } from 'metal';
+
+/**
+ * Tracks the pending `CancellablePromise` instances along with the location
+ * where they were created, for finding promises that never settle. Promises are
+ * tracked weakly where `WeakRef` is supported, and promises garbage collected
+ * while pending with callbacks attached are reported where
+ * `FinalizationRegistry` is supported, as their callbacks will never run.
+ *
+ * Only the promises created while the detector is installed are tracked.
+ */
+class LeakDetector {
+	/**
+	 * @param {LeakDetector.Options=} opt_options
+	 * @constructor
+	 */
+	constructor(opt_options) {
+		const options = opt_options || {};
+
+		/**
+		 * The time in milliseconds after which a pending promise is reported.
+		 * @type {number}
+		 * @protected
+		 */
+		this.threshold_ = options.threshold || LeakDetector.DEFAULT_THRESHOLD;
+
+		/**
+		 * The time in milliseconds between automatic checks, or 0 if `check`
+		 * is only called manually.
+		 * @type {number}
+		 * @protected
+		 */
+		this.interval_ = options.interval || 0;
+
+		/**
+		 * The function called with each report.
+		 * @type {function(!LeakDetector.Report)}
+		 * @protected
+		 */
+		this.onLeak_ = options.onLeak || LeakDetector.throwReport_;
+
+		/**
+		 * The detector that was installed before `install` was called.
+		 * @type {LeakDetector}
+		 * @protected
+		 */
+		this.previousDetector_ = null;
+
+		/**
+		 * The records of the pending promises.
+		 * @type {!Set<!LeakDetector.Record>}
+		 * @protected
+		 */
+		this.records_ = new Set();
+
+		/**
+		 * Reports the promises collected while pending, if supported.
+		 * @type {FinalizationRegistry}
+		 * @protected
+		 */
+		this.registry_ = typeof FinalizationRegistry === 'undefined' ? null :
+			new FinalizationRegistry(record => this.handleCollected_(record));
+
+		/**
+		 * The handle of the timer of the next automatic check.
+		 * @type {Object}
+		 * @protected
+		 */
+		this.timer_ = null;
+	}
+
+	/**
+	 * Reports the promises that have been pending for longer than the
+	 * threshold and weren't reported yet. Promises found to be collected are
+	 * reported right away, in case `FinalizationRegistry` isn't supported.
+	 * @return {!Array<!LeakDetector.Report>} The new pending reports.
+	 */
+	check() {
+		const now = CancellablePromise.now_();
+		const reports = [];
+		this.records_.forEach(record => {
+			if (!LeakDetector.getPromise_(record)) {
+				this.handleCollected_(record);
+			} else if (!record.reported && now - record.createdAt >= this.threshold_) {
+				record.reported = true;
+				reports.push(this.createReport_(LeakDetector.LeakType.PENDING, record, now));
+			}
+		});
+		reports.forEach(report => this.onLeak_(report));
+		return reports;
+	}
+
+	/**
+	 * Creates a report about the given record.
+	 * @param {LeakDetector.LeakType} type
+	 * @param {!LeakDetector.Record} record
+	 * @param {number} now
+	 * @return {!LeakDetector.Report}
+	 * @protected
+	 */
+	createReport_(type, record, now) {
+		return {
+			age: now - record.createdAt,
+			hasCallbacks: record.hasCallbacks,
+			promise: LeakDetector.getPromise_(record),
+			site: record.site,
+			type
+		};
+	}
+
+	/**
+	 * Returns the pending promises that are tracked and weren't collected, with
+	 * the time they have been pending for and their creation site.
+	 * @return {!Array<{promise: !CancellablePromise, age: number, site: !CancellablePromise.TraceFrame}>}
+	 */
+	getPending() {
+		const now = CancellablePromise.now_();
+		const pending = [];
+		this.records_.forEach(record => {
+			const promise = LeakDetector.getPromise_(record);
+			if (promise) {
+				pending.push({
+					age: now - record.createdAt,
+					promise,
+					site: record.site
+				});
+			}
+		});
+		return pending;
+	}
+
+	/**
+	 * Reports a promise that was garbage collected while pending, if it had
+	 * callbacks attached.
+	 * @param {!LeakDetector.Record} record
+	 * @protected
+	 */
+	handleCollected_(record) {
+		if (!this.records_.delete(record) || !record.hasCallbacks) {
+			return;
+		}
+		const report = this.createReport_(
+			LeakDetector.LeakType.COLLECTED, record, CancellablePromise.now_());
+		this.onLeak_(report);
+	}
+
+	/**
+	 * Makes this detector track the promises created until `uninstall` is
+	 * called, and starts the automatic checks if an interval was given.
+	 * @return {!LeakDetector} This detector, for chaining.
+	 */
+	install() {
+		this.previousDetector_ = CancellablePromise.getLeakDetector();
+		CancellablePromise.setLeakDetector(this);
+		this.scheduleCheck_();
+		return this;
+	}
+
+	/**
+	 * Schedules the next automatic check, if an interval was given.
+	 * @protected
+	 */
+	scheduleCheck_() {
+		if (this.interval_) {
+			this.timer_ = CancellablePromise.setTimeout_(() => {
+				this.check();
+				this.scheduleCheck_();
+			}, this.interval_);
+		}
+	}
+
+	/**
+	 * Starts tracking a pending promise. Called by the promise constructor.
+	 * @param {!CancellablePromise} promise
+	 * @param {!Error} error An error created by the constructor, for reading
+	 *     the creation site. It isn't kept, as the frames of its stack could
+	 *     keep the promise alive.
+	 * @return {!LeakDetector.Record}
+	 */
+	track(promise, error) {
+		const weak = typeof WeakRef !== 'undefined';
+		const record = {
+			createdAt: CancellablePromise.now_(),
+			detector: this,
+			hasCallbacks: false,
+			promise: weak ? null : promise,
+			ref: weak ? new WeakRef(promise) : null,
+			reported: false,
+			site: CancellablePromise.getTraceFrame_(error)
+		};
+		this.records_.add(record);
+		if (this.registry_) {
+			this.registry_.register(promise, record, record);
+		}
+		return record;
+	}
+
+	/**
+	 * Stops tracking the promise of a record, once it is settled.
+	 * @param {!LeakDetector.Record} record
+	 */
+	untrack(record) {
+		this.records_.delete(record);
+		if (this.registry_) {
+			this.registry_.unregister(record);
+		}
+	}
+
+	/**
+	 * Stops the automatic checks and restores the detector that was installed
+	 * before `install` was called. The promises tracked so far are still
+	 * tracked.
+	 */
+	uninstall() {
+		if (this.timer_) {
+			CancellablePromise.clearTimeout_(this.timer_);
+			this.timer_ = null;
+		}
+		if (CancellablePromise.getLeakDetector() === this) {
+			CancellablePromise.setLeakDetector(this.previousDetector_);
+		}
+		this.previousDetector_ = null;
+	}
+
+	/**
+	 * Returns the promise of a record, or null if it was collected.
+	 * @param {!LeakDetector.Record} record
+	 * @return {CancellablePromise}
+	 * @protected
+	 */
+	static getPromise_(record) {
+		return record.ref ? record.ref.deref() || null : record.promise;
+	}
+
+	/**
+	 * The default report handler, which rethrows an error describing the
+	 * report asynchronously, like the unhandled rejections. The report is set
+	 * as the `report` property of the error.
+	 * @param {!LeakDetector.Report} report
+	 * @protected
+	 */
+	static throwReport_(report) {
+		const site = report.site;
+		const location = site.file ?
+			site.file + ':' + site.line + ':' + site.column : 'an unknown location';
+		const error = new Error(
+			(report.type === LeakDetector.LeakType.PENDING ?
+				'A promise has been pending for ' + report.age + 'ms' :
+				'A pending promise with callbacks was garbage collected') +
+			' (created at ' + location + ')'
+		);
+		error.report = report;
+		async.throwException(error);
+	}
+}
+
+/**
+ * The default time in milliseconds after which a pending promise is reported.
+ * @type {number}
+ */
+LeakDetector.DEFAULT_THRESHOLD = 10000;
+
+/**
+ * The types of reports.
+ * @enum {string}
+ */
+LeakDetector.LeakType = {
+	/** A promise that was garbage collected while pending with callbacks. */
+	COLLECTED: 'collected',
+
+	/** A promise that has been pending for longer than the threshold. */
+	PENDING: 'pending'
+};
+
+/**
+ * Options of a `LeakDetector`.
+ * - threshold: The time in milliseconds after which a pending promise is
+ *   reported. Defaults to `DEFAULT_THRESHOLD`.
+ * - interval: The time in milliseconds between automatic checks. Checks only
+ *   run when `check` is called by default.
+ * - onLeak: A function called with each report. By default, an error with the
+ *   report as its `report` property is rethrown asynchronously.
+ * @typedef {{
+ *   threshold: (number|undefined),
+ *   interval: (number|undefined),
+ *   onLeak: (function(!LeakDetector.Report)|undefined)
+ * }}
+ */
+LeakDetector.Options;
+
+/**
+ * A report about a promise that may have leaked. The promise is null if it was
+ * garbage collected.
+ * @typedef {{
+ *   age: number,
+ *   hasCallbacks: boolean,
+ *   promise: CancellablePromise,
+ *   site: !CancellablePromise.TraceFrame,
+ *   type: LeakDetector.LeakType
+ * }}
+ */
+LeakDetector.Report;
+
+/**
+ * The record of a pending promise, strongly referenced by the promise. It only
+ * references the promise weakly where `WeakRef` is supported.
+ * @typedef {{
+ *   createdAt: number,
+ *   detector: !LeakDetector,
+ *   hasCallbacks: boolean,
+ *   promise: CancellablePromise,
+ *   ref: WeakRef,
+ *   reported: boolean,
+ *   site: !CancellablePromise.TraceFrame
+ * }}
+ */
+LeakDetector.Record;
+
+// The frames of the detector are skipped when reading trace frames.
+CancellablePromise.addLibraryFile_(new Error());
+
+export default LeakDetector;
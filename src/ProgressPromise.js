@@ -1,7 +1,7 @@
 'use strict';
 
 import CancellablePromise from './CancellablePromise';
-import { async, isDef } from 'metal';
+import { async, isDef, isObject } from 'metal';
 
 class ProgressPromise extends CancellablePromise {
 	/**
@@ -10,20 +10,44 @@ class ProgressPromise extends CancellablePromise {
 	 * @constructor
 	 */
 	constructor(resolver, opt_context) {
+		// Updates reported in a burst are applied together in a single tick.
+		const queue = [];
 		const progressFn = progress => {
-			async.nextTick(() => {
-				this.setProgress_(progress);
+			queue.push(progress);
+			if (queue.length > 1) {
+				return;
+			}
+			CancellablePromise.run_(() => {
+				queue.splice(0).forEach(update => {
+					try {
+						this.setProgress_(update);
+					} catch (e) {
+						async.throwException(e);
+					}
+				});
 			});
 		};
 
-		const resolverFn = (resolve, reject) => {
-			resolver(resolve, reject, progressFn);
+		const resolverFn = (resolve, reject, onCancel) => {
+			resolver(resolve, reject, progressFn, onCancel);
 		};
 
 		super(resolverFn, opt_context);
 
 		this.listeners_ = [];
 		this.progress_ = 0;
+		this.stage_ = null;
+		this.event_ = null;
+		this.rate_ = null;
+		this.rateProgress_ = 0;
+		this.rateTime_ = CancellablePromise.now_();
+		this.listenersReleased_ = false;
+
+		// Listeners are released once settled, after the progress updates that
+		// were already reported are delivered.
+		this.onSettled_(() => {
+			CancellablePromise.run_(() => this.releaseListeners_());
+		});
 	}
 
 	/**
@@ -38,6 +62,7 @@ class ProgressPromise extends CancellablePromise {
 			callbackEntry.onFulfilled = onFulfilled ? function(value) {
 				try {
 					var result = onFulfilled.call(opt_context, value);
+					ProgressPromise.inheritFrom_(callbackEntry.child, result);
 					resolve(result);
 				} catch (err) {
 					reject(err);
@@ -50,6 +75,7 @@ class ProgressPromise extends CancellablePromise {
 					if (!isDef(result) && reason.IS_CANCELLATION_ERROR) {
 						reject(reason);
 					} else {
+						ProgressPromise.inheritFrom_(callbackEntry.child, result);
 						resolve(result);
 					}
 				} catch (err) {
@@ -59,29 +85,34 @@ class ProgressPromise extends CancellablePromise {
 		});
 
 		callbackEntry.child.parent_ = this;
+		callbackEntry.child.cancelPolicy_ = this.cancelPolicy_;
+		callbackEntry.child.inheritScope_(this);
 		this.addCallbackEntry_(callbackEntry);
 		return callbackEntry.child;
 	}
 
 	/**
-	 * Invokes any listeners that have been attached to child promises.
-	 * @param {!number} progress A percentage between 0 and 1
+	 * Passes the progress event on to every child promise, which invokes their
+	 * listeners and passes it on to their own children.
+	 * @param {!ProgressPromise.ProgressEvent} event
 	 */
-	callChildProgressListeners_(progress) {
-		if (this.callbackEntries_ && this.callbackEntries_.child) {
-			this.callProgressListeners_(progress, this.callbackEntries_.child.listeners_);
+	callChildProgressListeners_(event) {
+		for (let entry = this.callbackEntries_; entry; entry = entry.next) {
+			if (entry.child instanceof ProgressPromise) {
+				entry.child.inheritProgress_(event);
+			}
 		}
 	}
 
 	/**
 	 * Invokes any listeners that have been attached via the `progress` method.
 	 * @param {!number} progress A percentage between 0 and 1
-	 * @param {!Array} listeners Array of listeners
+	 * @param {!Array<!ProgressPromise.ListenerEntry_>} listeners Array of listeners
 	 */
 	callProgressListeners_(progress, listeners) {
 		if (listeners.length) {
-			listeners.forEach(listener => {
-				listener(progress);
+			listeners.slice().forEach(entry => {
+				entry.deliver(progress);
 			});
 		}
 	}
@@ -95,34 +126,583 @@ class ProgressPromise extends CancellablePromise {
 		return this.progress_;
 	}
 
+	/**
+	 * Returns the estimated time left until the progress reaches 1, in
+	 * milliseconds, based on the smoothed rate. Returns null while the rate is
+	 * unknown or the progress is indeterminate.
+	 * @return {?number}
+	 */
+	getEta() {
+		if (this.isIndeterminate() || !(this.rate_ > 0)) {
+			return null;
+		}
+		return (1 - this.progress_) / this.rate_ * 1000;
+	}
+
+	/**
+	 * Returns the amount of work done, as reported by the last progress event.
+	 * @return {number|undefined}
+	 */
+	getLoaded() {
+		return this.event_ ? this.event_.loaded : undefined;
+	}
+
+	/**
+	 * Returns the status message of the last progress event.
+	 * @return {string|undefined}
+	 */
+	getMessage() {
+		return this.event_ ? this.event_.message : undefined;
+	}
+
+	/**
+	 * Returns the smoothed rate at which the progress grows, in progress per
+	 * second, or null if it isn't known yet.
+	 * @return {?number}
+	 */
+	getRate() {
+		return this.rate_;
+	}
+
+	/**
+	 * Returns the total amount of work, as reported by the last progress event.
+	 * @return {number|undefined}
+	 */
+	getTotal() {
+		return this.event_ ? this.event_.total : undefined;
+	}
+
+	/**
+	 * Returns whether the last progress event was indeterminate, meaning that
+	 * the work is ongoing but how much of it is done is unknown.
+	 * @return {boolean}
+	 */
+	isIndeterminate() {
+		return !!this.event_ && this.event_.indeterminate;
+	}
+
 	/**
 	 * Adds a listener that will be called once the progress has been updated.
+	 * The options limit how often the listener is called, which is useful when
+	 * progress is reported in tight loops. The final update to 1 is always
+	 * delivered right away.
 	 * @param {!Function} listener
+	 * @param {ProgressPromise.ListenerOptions=} opt_options
 	 */
-	progress(listener) {
-		this.listeners_.push(listener);
+	progress(listener, opt_options) {
+		if (this.listenersReleased_) {
+			return this;
+		}
+
+		let callListener = listener;
+		if (opt_options && opt_options.once) {
+			callListener = progress => {
+				this.removeListener_(entry);
+				listener(progress);
+			};
+		}
+		const entry = opt_options ?
+			ProgressPromise.limitListener_(callListener, opt_options) :
+			{deliver: callListener, dispose: null};
+		entry.listener = listener;
+		this.listeners_.push(entry);
 
 		return this;
 	}
 
 	/**
-	 * Updates the current progress of the promise and calls all listeners.
+	 * Removes a listener added with `progress`. If it was added more than once,
+	 * only the first one is removed.
+	 * @param {!Function} listener
+	 * @return {!ProgressPromise} This promise, for chaining.
+	 */
+	offProgress(listener) {
+		for (let i = 0; i < this.listeners_.length; i++) {
+			if (this.listeners_[i].listener === listener) {
+				this.removeListener_(this.listeners_[i]);
+				break;
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Releases all listeners, so that they are no longer referenced once the
+	 * promise is settled, along with their pending throttled updates.
+	 * Listeners added afterwards are ignored.
+	 * @protected
+	 */
+	releaseListeners_() {
+		this.listeners_.forEach(ProgressPromise.disposeListener_);
+		this.listeners_ = [];
+		this.listenersReleased_ = true;
+	}
+
+	/**
+	 * Removes a listener entry and drops its pending throttled update.
+	 * @param {!ProgressPromise.ListenerEntry_} entry
+	 * @protected
+	 */
+	removeListener_(entry) {
+		const index = this.listeners_.indexOf(entry);
+		if (index !== -1) {
+			this.listeners_.splice(index, 1);
+			ProgressPromise.disposeListener_(entry);
+		}
+	}
+
+	/**
+	 * Updates the progress with an event of the parent promise, or of the
+	 * promise returned by a callback of the parent. Unlike `setProgress_`,
+	 * values lower than the current progress are ignored unless the event is a
+	 * reset, since they come from a promise that started at a different point.
+	 * @param {!ProgressPromise.ProgressEvent} event
+	 * @protected
+	 */
+	inheritProgress_(event) {
+		const progress = this.mapProgress_(event.progress);
+		if (progress >= this.progress_ || event.reset) {
+			this.updateProgress_(Object.assign({}, event, {progress}));
+		}
+	}
+
+	/**
+	 * Maps a progress into the range set with `stage`, if any.
 	 * @param {number} progress
+	 * @return {number}
+	 * @protected
+	 */
+	mapProgress_(progress) {
+		if (!this.stage_) {
+			return progress;
+		}
+		const {start, end} = this.stage_;
+		return start + progress * (end - start);
+	}
+
+	/**
+	 * Updates the current progress of the promise and calls all listeners.
+	 * @param {number|!ProgressPromise.ProgressEventInit} progress A number
+	 *     between 0 and 1, or a progress event.
 	 */
 	setProgress_(progress) {
-		if (progress > 1 || progress < 0) {
-			throw new TypeError('The progress percentage should be a number between 0 and 1');
-		} else if (progress < this.progress_) {
+		const event = ProgressPromise.toEvent_(progress);
+		event.progress = isDef(event.progress) ? this.mapProgress_(event.progress) : this.progress_;
+
+		if (event.progress < this.progress_ && !event.reset) {
 			throw new Error('The progress percentage can\'t be lower than the previous percentage');
-		} else if (progress === this.progress_ || progress === 1) {
+		}
+		this.updateProgress_(event);
+	}
+
+	/**
+	 * Declares the range of the overall progress of a chain that this promise
+	 * covers. Every progress reported from then on, by the promise itself or
+	 * inherited from its parent, is mapped into the range. For example, a
+	 * download can be staged as 0 to 0.5, and the promise returned by the
+	 * callback parsing it as 0.5 to 1, so that the end of the chain reports a
+	 * single progress from 0 to 1.
+	 * @param {number} start The progress when this promise starts.
+	 * @param {number} end The progress when this promise is done.
+	 * @return {!ProgressPromise} This promise, for chaining.
+	 */
+	stage(start, end) {
+		if (!(start >= 0 && start <= end && end <= 1)) {
+			throw new TypeError('The stage should be a range between 0 and 1');
+		}
+		this.stage_ = {start, end};
+		return this;
+	}
+
+	/**
+	 * Sets the current progress and passes it on to listeners and children.
+	 * Events that don't change anything are ignored.
+	 * @param {!ProgressPromise.ProgressEvent} event
+	 * @protected
+	 */
+	updateProgress_(event) {
+		const progress = event.progress;
+		if (!event.reset && progress === this.progress_ && ProgressPromise.isSameEvent_(this.event_, event)) {
 			return;
 		}
 
+		if (event.reset) {
+			this.rate_ = null;
+			this.rateProgress_ = progress;
+			this.rateTime_ = CancellablePromise.now_();
+		} else if (!event.indeterminate) {
+			this.updateRate_(progress);
+		}
 		this.progress_ = progress;
+		this.event_ = event;
 
 		this.callProgressListeners_(progress, this.listeners_);
-		this.callChildProgressListeners_(progress);
+		this.callChildProgressListeners_(event);
+	}
+
+	/**
+	 * Updates the smoothed rate with the progress made since the last update.
+	 * @param {number} progress
+	 * @protected
+	 */
+	updateRate_(progress) {
+		const now = CancellablePromise.now_();
+		const elapsed = now - this.rateTime_;
+		if (elapsed <= 0) {
+			return;
+		}
+
+		const rate = (progress - this.rateProgress_) * 1000 / elapsed;
+		const smoothing = ProgressPromise.RATE_SMOOTHING;
+		this.rate_ = this.rate_ === null ? rate : smoothing * rate + (1 - smoothing) * this.rate_;
+		this.rateProgress_ = progress;
+		this.rateTime_ = now;
+	}
+
+	/**
+	 * Makes the progress of a promise returned by a callback flow into the
+	 * child promise the callback was invoked for.
+	 * @param {!ProgressPromise} child
+	 * @param {*} result The value returned by the callback.
+	 * @protected
+	 */
+	static inheritFrom_(child, result) {
+		if (result instanceof ProgressPromise && result !== child) {
+			if (result.event_) {
+				child.inheritProgress_(result.event_);
+			}
+			result.progress(() => child.inheritProgress_(result.event_));
+		}
+	}
+
+	/**
+	 * Returns whether two events carry the same data besides the progress.
+	 * @param {ProgressPromise.ProgressEvent} previous
+	 * @param {!ProgressPromise.ProgressEvent} event
+	 * @return {boolean}
+	 * @protected
+	 */
+	static isSameEvent_(previous, event) {
+		previous = previous || {indeterminate: false};
+		return previous.loaded === event.loaded &&
+			previous.total === event.total &&
+			previous.message === event.message &&
+			previous.indeterminate === event.indeterminate;
+	}
+
+	/**
+	 * Clears the timer of the update held back for a listener entry, if any.
+	 * @param {!ProgressPromise.ListenerEntry_} entry
+	 * @protected
+	 */
+	static disposeListener_(entry) {
+		if (entry.dispose) {
+			entry.dispose();
+		}
+	}
+
+	/**
+	 * Wraps a progress listener so that it's called as allowed by the options.
+	 * Updates that are held back are not lost: the latest one is delivered once
+	 * the listener can be called again, unless the entry is disposed first.
+	 * @param {!Function} listener
+	 * @param {!ProgressPromise.ListenerOptions} options
+	 * @return {{deliver: !Function, dispose: function()}} The functions of the
+	 *     listener entry.
+	 * @protected
+	 */
+	static limitListener_(listener, options) {
+		const throttle = options.throttle || 0;
+		const minDelta = options.minDelta || 0;
+		let delivered = null;
+		let deliveredTime = -Infinity;
+		let latest;
+		let scheduled = false;
+		let timer = null;
+
+		const deliver = () => {
+			scheduled = false;
+			CancellablePromise.clearTimeout_(timer);
+			timer = null;
+			delivered = latest;
+			deliveredTime = CancellablePromise.now_();
+			listener(latest);
+		};
+
+		// Delayed deliveries rethrow like the ones of the progress updates.
+		const flush = () => {
+			if (scheduled) {
+				try {
+					deliver();
+				} catch (e) {
+					async.throwException(e);
+				}
+			}
+		};
+
+		const dispose = () => {
+			scheduled = false;
+			CancellablePromise.clearTimeout_(timer);
+			timer = null;
+		};
+
+		const limited = progress => {
+			latest = progress;
+			if (progress === 1) {
+				if (delivered !== 1) {
+					deliver();
+				}
+				return;
+			}
+			if (scheduled || (delivered !== null && Math.abs(progress - delivered) < minDelta)) {
+				return;
+			}
+
+			const wait = deliveredTime + throttle - CancellablePromise.now_();
+			if (wait > 0) {
+				scheduled = true;
+				timer = CancellablePromise.setTimeout_(flush, wait);
+			} else if (options.coalesce) {
+				scheduled = true;
+				CancellablePromise.run_(flush);
+			} else {
+				deliver();
+			}
+		};
+
+		return {deliver: limited, dispose};
+	}
+
+	/**
+	 * Validates a value passed to the progress function of a resolver and
+	 * turns it into an event. When only `loaded` and `total` are given, the
+	 * progress is computed from them.
+	 * @param {number|!ProgressPromise.ProgressEventInit} value
+	 * @return {!ProgressPromise.ProgressEvent}
+	 * @protected
+	 */
+	static toEvent_(value) {
+		const init = isObject(value) ? value : {progress: value};
+		let {progress, loaded, total} = init;
+
+		if (isDef(loaded) || isDef(total)) {
+			if (!(total > 0 && loaded >= 0 && loaded <= total)) {
+				throw new TypeError('The loaded amount should be a number between 0 and the total');
+			}
+			if (!isDef(progress)) {
+				progress = loaded / total;
+			}
+		}
+		if (isDef(progress) && !(progress >= 0 && progress <= 1)) {
+			throw new TypeError('The progress percentage should be a number between 0 and 1');
+		}
+
+		return {
+			progress,
+			loaded,
+			total,
+			message: init.message,
+			indeterminate: !!init.indeterminate,
+			reset: !!init.reset
+		};
+	}
+
+	/**
+	 * Like `CancellablePromise.all`, but returns a `ProgressPromise` that
+	 * reports the weighted average progress of the inputs.
+	 * @param {!Iterable<*>} promises
+	 * @param {ProgressPromise.CombinatorOptions=} opt_options
+	 * @return {!ProgressPromise}
+	 */
+	static all(promises, opt_options) {
+		return ProgressPromise.combineProgress_(promises, CancellablePromise.all, opt_options);
+	}
+
+	/**
+	 * Like `CancellablePromise.allSettled`, but returns a `ProgressPromise` that
+	 * reports the weighted average progress of the inputs.
+	 * @param {!Iterable<*>} promises
+	 * @param {ProgressPromise.CombinatorOptions=} opt_options
+	 * @return {!ProgressPromise}
+	 */
+	static allSettled(promises, opt_options) {
+		return ProgressPromise.combineProgress_(promises, CancellablePromise.allSettled, opt_options);
+	}
+
+	/**
+	 * Like `CancellablePromise.race`, but returns a `ProgressPromise` that
+	 * reports the weighted average progress of the inputs until the race is
+	 * settled, and then reports 1.
+	 * @param {!Iterable<*>} promises
+	 * @param {ProgressPromise.CombinatorOptions=} opt_options
+	 * @return {!ProgressPromise}
+	 */
+	static race(promises, opt_options) {
+		return ProgressPromise.combineProgress_(promises, CancellablePromise.race, opt_options, true);
+	}
+
+	/**
+	 * Combines the inputs with the given `CancellablePromise` combinator, and
+	 * wraps the result in a `ProgressPromise` tracking the progress of the
+	 * inputs. Inputs that aren't a `ProgressPromise` count as 0 until they are
+	 * settled, and every input counts as 1 once settled. Canceling the returned
+	 * promise cancels the combined one with the same cancel policy.
+	 * @param {!Iterable<*>} promises
+	 * @param {function(!Array<*>, Object=): !CancellablePromise} combinator
+	 * @param {ProgressPromise.CombinatorOptions=} opt_options
+	 * @param {boolean=} opt_completeOnSettle Whether the progress is reported
+	 *     as complete once the combined promise is settled, for combinators that
+	 *     don't wait for every input. Listeners get the update before they are
+	 *     released.
+	 * @return {!ProgressPromise}
+	 * @protected
+	 */
+	static combineProgress_(promises, combinator, opt_options, opt_completeOnSettle) {
+		let inputs;
+		try {
+			inputs = CancellablePromise.toArray_(promises);
+		} catch (e) {
+			return new ProgressPromise((resolve, reject) => reject(e));
+		}
+
+		const weights = inputs.map((input, i) => {
+			const weight = opt_options && opt_options.weights && opt_options.weights[i];
+			return isDef(weight) ? weight : 1;
+		});
+		const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+		const progresses = inputs.map(input => {
+			return input instanceof ProgressPromise ? input.getProgress() : 0;
+		});
+		const combined = combinator(inputs, opt_options);
+
+		const promise = new ProgressPromise((resolve, reject, progress, onCancel) => {
+			const update = (index, value) => {
+				if (value <= progresses[index]) {
+					return;
+				}
+				progresses[index] = value;
+				if (totalWeight > 0) {
+					const sum = progresses.reduce((total, value, i) => total + value * weights[i], 0);
+					progress(Math.min(1, sum / totalWeight));
+				}
+			};
+
+			inputs.forEach((input, i) => {
+				if (input instanceof ProgressPromise) {
+					input.progress(value => update(i, value));
+				}
+				// Watching inputs with `onSettled_` doesn't count as consuming them,
+				// so that they can still be canceled by the combined promise.
+				const settle = () => update(i, 1);
+				if (input instanceof CancellablePromise) {
+					input.onSettled_(settle);
+				} else {
+					CancellablePromise.resolveThen_(input, settle, settle);
+				}
+			});
+
+			combined.thenVoid(value => {
+				if (opt_completeOnSettle) {
+					progress(1);
+				}
+				resolve(value);
+			}, reason => {
+				if (opt_completeOnSettle && !(reason && reason.IS_CANCELLATION_ERROR)) {
+					progress(1);
+				}
+				reject(reason);
+			});
+			onCancel(err => {
+				combined.setCancelPolicy(promise.getCancelPolicy());
+				return CancellablePromise.all(combined.cancelInternal_(err));
+			});
+		});
+		return promise;
 	}
 }
 
+/**
+ * A progress update, as passed to the progress function of a resolver.
+ *
+ * progress: A number between 0 and 1. Computed from `loaded` and `total` when
+ *     missing, and unchanged if those are missing too.
+ * loaded: The amount of work done, such as a number of bytes.
+ * total: The total amount of work.
+ * message: A status message.
+ * indeterminate: Whether how much of the work is done is unknown.
+ * reset: Whether the work restarted, such as after a retry. The progress may
+ *     then be lower than the previous one.
+ *
+ * @typedef {{
+ *     progress: (number|undefined),
+ *     loaded: (number|undefined),
+ *     total: (number|undefined),
+ *     message: (string|undefined),
+ *     indeterminate: (boolean|undefined),
+ *     reset: (boolean|undefined)}}
+ */
+ProgressPromise.ProgressEventInit;
+
+/**
+ * A validated progress update, with the progress mapped into the stage of the
+ * promise.
+ *
+ * @typedef {{
+ *     progress: number,
+ *     loaded: (number|undefined),
+ *     total: (number|undefined),
+ *     message: (string|undefined),
+ *     indeterminate: boolean,
+ *     reset: boolean}}
+ */
+ProgressPromise.ProgressEvent;
+
+/**
+ * Options for progress listeners, mostly limiting how often they are called.
+ *
+ * throttle: The minimum time between two calls, in milliseconds.
+ * minDelta: The minimum change of the progress since the last call.
+ * coalesce: Whether to deliver only the latest of the updates made in the
+ *     same tick.
+ * once: Whether to remove the listener after its first call.
+ *
+ * @typedef {{
+ *     throttle: (number|undefined),
+ *     minDelta: (number|undefined),
+ *     coalesce: (boolean|undefined),
+ *     once: (boolean|undefined)}}
+ */
+ProgressPromise.ListenerOptions;
+
+/**
+ * A listener added with `progress`, the function delivering updates to it as
+ * allowed by its options, and the function dropping the update held back for
+ * it, if its options may hold updates back.
+ *
+ * @typedef {{listener: !Function, deliver: !Function, dispose: ?function()}}
+ * @private
+ */
+ProgressPromise.ListenerEntry_;
+
+/**
+ * How much the latest progress update weighs in the smoothed rate, between 0
+ * and 1. Higher values make the rate and the ETA react faster but jitter more.
+ * @type {number}
+ */
+ProgressPromise.RATE_SMOOTHING = 0.3;
+
+/**
+ * Options accepted by the `ProgressPromise` combinators, in addition to the
+ * ones of the matching `CancellablePromise` combinator.
+ *
+ * weights: The weight of each input in the combined progress, by position.
+ *     Inputs without a weight count as 1.
+ *
+ * @typedef {{weights: (Array<number>|undefined)}}
+ */
+ProgressPromise.CombinatorOptions;
+
+// The frames of the progress code are skipped when reading trace frames.
+CancellablePromise.addLibraryFile_(new Error());
+
 export default ProgressPromise;
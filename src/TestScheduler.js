@@ -0,0 +1,188 @@
+'use strict';
+
+import CancellablePromise from './CancellablePromise';
+
+/**
+ * A scheduler for tests that runs callbacks and timers only when asked to, on
+ * a virtual clock. Once installed, it drives the callbacks of all promises,
+ * the unhandled rejection timers, the progress updates of `ProgressPromise`
+ * and timers such as the ones of `delay`, `timeout` and `retry`.
+ *
+ * @implements {CancellablePromise.Scheduler}
+ */
+class TestScheduler {
+	/**
+	 * @param {number=} opt_now The initial time of the virtual clock, in
+	 *     milliseconds. Defaults to 0.
+	 * @constructor
+	 */
+	constructor(opt_now) {
+		/**
+		 * The current time of the virtual clock.
+		 * @type {number}
+		 * @protected
+		 */
+		this.now_ = opt_now || 0;
+
+		/**
+		 * The ID of the next timer.
+		 * @type {number}
+		 * @protected
+		 */
+		this.nextTimerId_ = 1;
+
+		/**
+		 * The scheduler that was used before `install` was called.
+		 * @type {CancellablePromise.Scheduler}
+		 * @protected
+		 */
+		this.previousScheduler_ = null;
+
+		/**
+		 * The callbacks waiting to be run, in order.
+		 * @type {!Array<function()>}
+		 * @protected
+		 */
+		this.tasks_ = [];
+
+		/**
+		 * The pending timers, sorted by the time they are due, then by creation.
+		 * @type {!Array<{id: number, time: number, callback: function()}>}
+		 * @protected
+		 */
+		this.timers_ = [];
+	}
+
+	/**
+	 * Moves the virtual clock forward by the given amount of time, firing the
+	 * timers that become due in order. Callbacks scheduled before and by each
+	 * timer are run before moving on to the next one.
+	 * @param {number} ms
+	 * @return {number} The number of callbacks and timers that were run.
+	 */
+	advance(ms) {
+		const target = this.now_ + ms;
+		let count = this.flush();
+		while (this.timers_.length && this.timers_[0].time <= target) {
+			const timer = this.timers_.shift();
+			this.now_ = timer.time;
+			timer.callback();
+			count += 1 + this.flush();
+		}
+		this.now_ = target;
+		return count;
+	}
+
+	/**
+	 * Clears a timer set with `setTimeout`.
+	 * @param {number} id
+	 */
+	clearTimeout(id) {
+		this.timers_ = this.timers_.filter(timer => timer.id !== id);
+	}
+
+	/**
+	 * Runs the scheduled callbacks until there are none left, including the
+	 * ones scheduled along the way. Timers are not fired.
+	 * @return {number} The number of callbacks that were run.
+	 * @throws {Error} If callbacks keep being scheduled endlessly.
+	 */
+	flush() {
+		let count = 0;
+		while (this.runNext()) {
+			if (++count > TestScheduler.MAX_FLUSH) {
+				throw new Error('Flushed ' + count + ' callbacks, there may be an endless loop');
+			}
+		}
+		return count;
+	}
+
+	/**
+	 * Returns the number of callbacks and timers waiting to be run.
+	 * @return {number}
+	 */
+	getPendingCount() {
+		return this.tasks_.length + this.timers_.length;
+	}
+
+	/**
+	 * Makes this scheduler the one used by all promises, until `uninstall` is
+	 * called.
+	 * @return {!TestScheduler} This scheduler, for chaining.
+	 */
+	install() {
+		this.previousScheduler_ = CancellablePromise.getScheduler();
+		CancellablePromise.setScheduler(this);
+		return this;
+	}
+
+	/**
+	 * Returns the current time of the virtual clock.
+	 * @return {number}
+	 */
+	now() {
+		return this.now_;
+	}
+
+	/**
+	 * Schedules a callback, which is run by `runNext`, `flush` or `advance`.
+	 * @param {function()} callback
+	 */
+	run(callback) {
+		this.tasks_.push(callback);
+	}
+
+	/**
+	 * Runs the next scheduled callback, if any.
+	 * @return {boolean} Whether a callback was run.
+	 */
+	runNext() {
+		if (!this.tasks_.length) {
+			return false;
+		}
+		this.tasks_.shift()();
+		return true;
+	}
+
+	/**
+	 * Sets a timer that is fired by `advance` once the virtual clock reaches
+	 * the given delay.
+	 * @param {function()} callback
+	 * @param {number} ms
+	 * @return {number} The ID of the timer.
+	 */
+	setTimeout(callback, ms) {
+		const timer = {
+			id: this.nextTimerId_++,
+			time: this.now_ + Math.max(0, ms || 0),
+			callback
+		};
+		let index = this.timers_.length;
+		while (index > 0 && this.timers_[index - 1].time > timer.time) {
+			index--;
+		}
+		this.timers_.splice(index, 0, timer);
+		return timer.id;
+	}
+
+	/**
+	 * Restores the scheduler that was used before `install` was called.
+	 */
+	uninstall() {
+		if (this.previousScheduler_) {
+			CancellablePromise.setScheduler(this.previousScheduler_);
+			this.previousScheduler_ = null;
+		}
+	}
+}
+
+/**
+ * The maximum number of callbacks run by a single `flush`.
+ * @type {number}
+ */
+TestScheduler.MAX_FLUSH = 10000;
+
+// The frames of the test scheduler are skipped when reading trace frames.
+CancellablePromise.addLibraryFile_(new Error());
+
+export default TestScheduler;
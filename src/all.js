@@ -1,5 +1,9 @@
 import CancellablePromise from './CancellablePromise';
+import CancellationToken from './CancellationToken';
+import CancellationTokenSource from './CancellationTokenSource';
+import LeakDetector from './LeakDetector';
 import ProgressPromise from './ProgressPromise';
+import TestScheduler from './TestScheduler';
 
-export { CancellablePromise, ProgressPromise };
+export { CancellablePromise, CancellationToken, CancellationTokenSource, LeakDetector, ProgressPromise, TestScheduler };
 export default CancellablePromise;